@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { version } = require('../package.json');
+
+// Extensions tried when an import specifier omits them, in order. Declaration files
+// come last: they are only read for modules whose source isn't available.
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.d.ts', '.d.mts', '.d.cts'];
+const EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx'].concat(TYPESCRIPT_EXTENSIONS);
+
+// `package.json` `exports` conditions that lead to runnable source, matched in
+// the order they appear in the `exports` object (as Node.js does)
+const EXPORT_CONDITIONS = ['import', 'require', 'node', 'default'];
+
+const DEFAULT_CACHE_LOCATION = path.join('node_modules', '.cache', 'eslint-plugin-mutate');
+
+// Signatures computed during this process, keyed by file path and analysis options
+const memoryCache = new Map();
+
+// Content digests of the files read during this process, reused while their size and
+// modification time don't change
+const fileDigests = new Map();
+
+// Workspace packages found from each directory during this process
+const workspacePackages = new Map();
+
+// Identifiers of parsers that don't name themselves
+const anonymousParsers = new WeakMap();
+let anonymousParserCount = 0;
+
+// Modules currently being analyzed (innermost last) with the dependencies collected
+// for each; also used to stop at import cycles
+const analysisStack = [];
+
+function sha1(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function hashContent(filePath, digest, optionsKey) {
+  // Signatures depend on the plugin version, the parser and rule options as well as the source
+  return sha1(`${version}\0${optionsKey}\0${filePath}\0${digest}`);
+}
+
+function getCacheFileName(filePath, optionsKey) {
+  // One entry per module and analysis options, overwritten whenever the module changes
+  return `${sha1(`${filePath}\0${optionsKey}`)}.json`;
+}
+
+function getFileDigest(filePath) {
+  // Digest of a file's content, only read again once its size or modification time changes
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  const known = fileDigests.get(filePath);
+  if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs) {
+    return known.digest;
+  }
+  const content = readFile(filePath);
+  if (content === null) return null;
+  const digest = sha1(content);
+  fileDigests.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, digest });
+  return digest;
+}
+
+function getParserKey(parser) {
+  // Parsers name themselves through `meta` (`@typescript-eslint/parser`) or top-level
+  // `name` and `version` fields (espree); others are only told apart within this process
+  if (!parser) return 'default';
+  const meta = parser.meta || parser;
+  if (typeof meta.name === 'string') return `${meta.name}@${meta.version || ''}`;
+  if (!anonymousParsers.has(parser)) {
+    anonymousParserCount++;
+    anonymousParsers.set(parser, `parser-${process.pid}-${anonymousParserCount}`);
+  }
+  return anonymousParsers.get(parser);
+}
+
+function getModuleParserOptions(filePath, options) {
+  const parserOptions = Object.assign({ ecmaVersion: 'latest' }, options.parserOptions, {
+    sourceType: /\.c[jt]s$/.test(filePath) ? 'script' : 'module'
+  });
+  // Type information is neither needed nor available for imported modules
+  delete parserOptions.project;
+  delete parserOptions.programs;
+  return parserOptions;
+}
+
+function readFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function readJson(filePath) {
+  const content = readFile(filePath);
+  if (content === null) return null;
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolveFile(basePath) {
+  // `./config`, `./config.js`, `./config.js` written for `config.ts`, or a directory
+  // with a `package.json` `main` field or an `index` file
+  const candidates = [basePath].concat(EXTENSIONS.map(extension => basePath + extension));
+  if (/\.[cm]?jsx?$/.test(basePath)) {
+    const withoutExtension = basePath.replace(/\.[cm]?jsx?$/, '');
+    candidates.push(...TYPESCRIPT_EXTENSIONS.map(extension => withoutExtension + extension));
+  }
+
+  const file = candidates.find(isFile);
+  if (file) return file;
+
+  if (isDirectory(basePath)) {
+    const packageJson = readJson(path.join(basePath, 'package.json'));
+    if (packageJson && typeof packageJson.main === 'string') {
+      const main = resolveFile(path.join(basePath, packageJson.main));
+      if (main) return main;
+    }
+    return EXTENSIONS.map(extension => path.join(basePath, `index${extension}`)).find(isFile) || null;
+  }
+  return null;
+}
+
+function resolveExportTarget(target) {
+  // Pick the first usable target of a conditional export
+  if (typeof target === 'string') return target;
+  if (Array.isArray(target)) {
+    for (const entry of target) {
+      const resolved = resolveExportTarget(entry);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    for (const condition of Object.keys(target)) {
+      if (EXPORT_CONDITIONS.includes(condition)) {
+        const resolved = resolveExportTarget(target[condition]);
+        if (resolved) return resolved;
+      }
+    }
+  }
+  return null;
+}
+
+function resolvePackageEntry(packageDir, subpath) {
+  // Resolve `subpath` (`.` or `./utils`) through the package's `exports`, falling
+  // back to `main`, `index` files and plain paths
+  const packageJson = readJson(path.join(packageDir, 'package.json')) || {};
+  const exportsField = packageJson.exports;
+
+  if (exportsField !== undefined && exportsField !== null) {
+    const isSubpathMap = typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+      Object.keys(exportsField).some(key => key.startsWith('.'));
+    const subpaths = isSubpathMap ? exportsField : { '.': exportsField };
+
+    let target = Object.prototype.hasOwnProperty.call(subpaths, subpath) ? resolveExportTarget(subpaths[subpath]) : null;
+    if (!target) {
+      // Subpath patterns: `"./*": "./src/*.js"`
+      for (const pattern of Object.keys(subpaths)) {
+        const starIndex = pattern.indexOf('*');
+        if (starIndex === -1) continue;
+        const prefix = pattern.slice(0, starIndex);
+        const suffix = pattern.slice(starIndex + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+          const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+          const patternTarget = resolveExportTarget(subpaths[pattern]);
+          target = patternTarget && patternTarget.split('*').join(match);
+          break;
+        }
+      }
+    }
+    return target ? resolveFile(path.join(packageDir, target)) : null;
+  }
+
+  return resolveFile(path.join(packageDir, subpath));
+}
+
+function getWorkspaceDirs(rootDir, packageJson) {
+  // Directories listed by the `workspaces` field (`packages/*`, `apps/web`)
+  const patterns = Array.isArray(packageJson.workspaces)
+    ? packageJson.workspaces
+    : (packageJson.workspaces && packageJson.workspaces.packages) || [];
+
+  const dirs = [];
+  patterns.forEach(pattern => {
+    if (pattern.endsWith('/*')) {
+      const parentDir = path.join(rootDir, pattern.slice(0, -2));
+      if (!isDirectory(parentDir)) return;
+      fs.readdirSync(parentDir).forEach(entry => dirs.push(path.join(parentDir, entry)));
+    } else {
+      dirs.push(path.join(rootDir, pattern));
+    }
+  });
+  return dirs;
+}
+
+function findWorkspacePackage(packageName, fromFile) {
+  const key = `${path.dirname(fromFile)}\0${packageName}`;
+  if (!workspacePackages.has(key)) {
+    workspacePackages.set(key, lookUpWorkspacePackage(packageName, path.dirname(fromFile)));
+  }
+  return workspacePackages.get(key);
+}
+
+function lookUpWorkspacePackage(packageName, fromDir) {
+  // Only packages that belong to the workspace are analyzed: a `node_modules` entry
+  // linked to a directory outside `node_modules`, or a package listed in `workspaces`
+  for (let dir = fromDir; ; dir = path.dirname(dir)) {
+    const linked = path.join(dir, 'node_modules', packageName);
+    if (isDirectory(linked)) {
+      const realDir = fs.realpathSync(linked);
+      if (!realDir.split(path.sep).includes('node_modules')) {
+        return realDir;
+      }
+    }
+
+    const packageJson = readJson(path.join(dir, 'package.json'));
+    if (packageJson && packageJson.workspaces) {
+      const workspaceDir = getWorkspaceDirs(dir, packageJson).find(candidate => {
+        const workspacePackage = readJson(path.join(candidate, 'package.json'));
+        return workspacePackage && workspacePackage.name === packageName;
+      });
+      if (workspaceDir) return workspaceDir;
+    }
+
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * Resolve an import specifier (`./config`, `@acme/utils/array`) to the source file
+ * it refers to. Relative paths and workspace packages are supported; other
+ * packages are not analyzed.
+ */
+function resolveModulePath(specifier, fromFile) {
+  if (typeof specifier !== 'string' || !path.isAbsolute(fromFile)) return null;
+
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return resolveFile(path.resolve(path.dirname(fromFile), specifier));
+  }
+
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  const packageName = parts.slice(0, nameLength).join('/');
+  const subpath = ['.'].concat(parts.slice(nameLength)).join('/');
+
+  const packageDir = findWorkspacePackage(packageName, fromFile);
+  return packageDir ? resolvePackageEntry(packageDir, subpath) : null;
+}
+
+function analyzeModule(filePath, content, options) {
+  // Run the rule on the module to collect its exported signatures. Required lazily,
+  // since the rule itself depends on this module. The parser is handed to the rule,
+  // which can't load it by name from within this linter.
+  const { Linter } = require('eslint');
+  const createMutRule = require('../rules/require-mut');
+
+  let signatures = null;
+  const linter = new Linter({ configType: 'eslintrc' });
+  linter.defineRule('mutate/module-signatures', createMutRule('param', {
+    moduleParser: options.parser || null,
+    onModuleSignatures(result) {
+      signatures = result;
+    }
+  }));
+
+  const config = {
+    parserOptions: getModuleParserOptions(filePath, options),
+    rules: { 'mutate/module-signatures': ['error', options.ruleOptions || {}] }
+  };
+  if (options.parser) {
+    linter.defineParser('mutate-module-parser', options.parser);
+    config.parser = 'mutate-module-parser';
+  }
+
+  const messages = linter.verify(content, config, { filename: filePath });
+  return messages.some(message => message.fatal) ? null : signatures;
+}
+
+function isCacheEntryValid(entry, hash) {
+  return Boolean(entry) && entry.hash === hash &&
+    Object.keys(entry.dependencies).every(dependency => getFileDigest(dependency) === entry.dependencies[dependency]);
+}
+
+/**
+ * Signatures of the functions a module exports: for each export, the parameter
+ * positions it mutates (with the destructuring paths of the mutated bindings) and
+ * the position of its rest parameter. Results are cached in memory and, unless
+ * disabled, on disk in one file per module, along with a hash of its content; a
+ * cached entry is only reused while the module and those it depends on are unchanged.
+ *
+ * Returns `null` when the module can't be read or parsed, or is part of an import
+ * cycle that is still being analyzed. Such results are never cached.
+ */
+function loadModuleSignatures(filePath, options = {}) {
+  const digest = getFileDigest(filePath);
+  if (digest === null) return null;
+
+  // The same module may be parsed differently from JavaScript and TypeScript files
+  const optionsKey = JSON.stringify([
+    options.ruleOptions || {},
+    getParserKey(options.parser),
+    getModuleParserOptions(filePath, options)
+  ]);
+  const memoryKey = `${filePath}\0${optionsKey}`;
+  const hash = hashContent(filePath, digest, optionsKey);
+  const parent = analysisStack[analysisStack.length - 1];
+
+  const remember = entry => {
+    // Modules that depend on this one also depend on everything it depends on
+    if (parent) {
+      parent.dependencies[filePath] = digest;
+      Object.assign(parent.dependencies, entry.dependencies);
+    }
+    return entry.signatures;
+  };
+
+  const cached = memoryCache.get(memoryKey);
+  if (isCacheEntryValid(cached, hash)) {
+    return remember(cached);
+  }
+
+  const cacheFile = options.cache === false
+    ? null
+    : path.join(
+      path.resolve(options.cwd || process.cwd(), options.cacheLocation || DEFAULT_CACHE_LOCATION),
+      getCacheFileName(filePath, optionsKey)
+    );
+  const stored = cacheFile ? readJson(cacheFile) : null;
+  if (isCacheEntryValid(stored, hash) && stored.signatures) {
+    memoryCache.set(memoryKey, stored);
+    return remember(stored);
+  }
+
+  // In an import cycle, the modules analyzed since the first visit only see part of
+  // the cycle: their results are used for this run, but not cached
+  const cycleStart = analysisStack.findIndex(frame => frame.filePath === filePath);
+  if (cycleStart !== -1) {
+    analysisStack.slice(cycleStart + 1).forEach(frame => {
+      frame.isPartial = true;
+    });
+    return null;
+  }
+
+  const content = readFile(filePath);
+  if (content === null) return null;
+
+  const frame = { filePath, dependencies: {}, isPartial: false };
+  analysisStack.push(frame);
+  let signatures;
+  try {
+    signatures = analyzeModule(filePath, content, options);
+  } finally {
+    analysisStack.pop();
+  }
+
+  const entry = { hash, signatures, dependencies: frame.dependencies };
+  if (frame.isPartial || !signatures) {
+    return remember(entry);
+  }
+  memoryCache.set(memoryKey, entry);
+  if (cacheFile) {
+    try {
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify(entry));
+    } catch (error) {
+      // The cache is only an optimization
+    }
+  }
+  return remember(entry);
+}
+
+module.exports = {
+  resolveModulePath,
+  loadModuleSignatures
+};
@@ -1,4 +1,118 @@
-module.exports = function createMutRule(ruleType) {
+const { resolveModulePath, loadModuleSignatures } = require('../lib/module-signatures');
+
+// Static functions that mutate one or more of their arguments, mapped to the
+// positions of the mutated arguments
+const STATIC_MUTATORS = {
+  Object: {
+    assign: [0],
+    defineProperty: [0],
+    defineProperties: [0],
+    setPrototypeOf: [0]
+  },
+  Reflect: {
+    set: [0],
+    deleteProperty: [0],
+    defineProperty: [0],
+    setPrototypeOf: [0]
+  },
+  Atomics: {
+    store: [0],
+    add: [0],
+    sub: [0],
+    and: [0],
+    or: [0],
+    xor: [0],
+    exchange: [0],
+    compareExchange: [0]
+  }
+};
+
+// Iteration methods whose callback receives the elements of the receiver, mapped
+// to the position of the element parameter in the callback
+const ITERATION_CALLBACKS = {
+  forEach: 0,
+  map: 0,
+  flatMap: 0,
+  filter: 0,
+  find: 0,
+  findIndex: 0,
+  findLast: 0,
+  findLastIndex: 0,
+  some: 0,
+  every: 0,
+  reduce: 1,
+  reduceRight: 1
+};
+
+// Callbacks whose parameters are owned by the callback (nobody else can observe
+// their mutations). `freshArgument` requires that argument to be a fresh value,
+// e.g. the initial value of `reduce`; `isConstructor` only matches `new X(...)`.
+const OWNED_CALLBACK_PARAMS = [
+  { name: 'reduce', argument: 0, params: [0], freshArgument: 1 },
+  { name: 'reduceRight', argument: 0, params: [0], freshArgument: 1 },
+  { name: 'Promise', argument: 0, params: [0, 1], isConstructor: true }
+];
+
+// Functions and methods returning a fresh copy of their input
+const COPY_FUNCTIONS = ['structuredClone'];
+const COPY_STATIC_METHODS = {
+  Array: ['from', 'of'],
+  Object: ['fromEntries', 'create'],
+  JSON: ['parse']
+};
+const COPY_METHODS = ['slice', 'concat', 'map', 'filter', 'flat', 'flatMap', 'toSorted', 'toReversed', 'toSpliced', 'with'];
+
+// Methods returning a new array or iterator that still holds the receiver's elements
+const ELEMENT_PRESERVING_METHODS = ['values', 'entries', 'slice', 'filter', 'toSorted', 'toReversed'];
+
+const TYPED_ARRAYS = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+];
+
+const DATE_SETTERS = [
+  'setDate', 'setFullYear', 'setHours', 'setMilliseconds', 'setMinutes', 'setMonth', 'setSeconds', 'setTime',
+  'setUTCDate', 'setUTCFullYear', 'setUTCHours', 'setUTCMilliseconds', 'setUTCMinutes', 'setUTCMonth', 'setUTCSeconds',
+  'setYear'
+];
+
+// Built-in methods that mutate their receiver, mapped to the built-in types that
+// declare them. Without type information any call to one of these method names is
+// considered a mutation; with type information the receiver type must match.
+const BUILTIN_MUTATORS = {
+  push: ['Array'],
+  pop: ['Array'],
+  shift: ['Array'],
+  unshift: ['Array'],
+  splice: ['Array'],
+  sort: ['Array', 'URLSearchParams', ...TYPED_ARRAYS],
+  reverse: ['Array', ...TYPED_ARRAYS],
+  fill: ['Array', ...TYPED_ARRAYS],
+  copyWithin: ['Array', ...TYPED_ARRAYS],
+  set: ['Map', 'WeakMap', 'URLSearchParams', 'Headers', 'FormData', ...TYPED_ARRAYS],
+  add: ['Set', 'WeakSet'],
+  delete: ['Map', 'Set', 'WeakMap', 'WeakSet', 'URLSearchParams', 'Headers', 'FormData'],
+  clear: ['Map', 'Set'],
+  append: ['URLSearchParams', 'Headers', 'FormData'],
+  ...Object.fromEntries(DATE_SETTERS.map(name => [name, ['Date']]))
+};
+
+// Types whose values can't be mutated through them (`readonly T[]`, `Readonly<T>`)
+const READONLY_TYPES = ['ReadonlyArray', 'ReadonlyMap', 'ReadonlySet', 'Readonly'];
+
+// Members of a union type that don't hold an object
+const NULLISH_TYPES = ['TSNullKeyword', 'TSUndefinedKeyword', 'TSVoidKeyword'];
+
+// TypeScript functions declared without a body, whose `Mut<T>` parameters declare
+// which arguments they mutate
+const SIGNATURE_TYPES = [
+  'TSDeclareFunction',
+  'TSEmptyBodyFunctionExpression',
+  'TSMethodSignature',
+  'TSFunctionType'
+];
+
+module.exports = function createMutRule(ruleType, { onModuleSignatures, moduleParser } = {}) {
   return {
     meta: {
       type: 'problem',
@@ -10,312 +124,2452 @@ module.exports = function createMutRule(ruleType) {
         recommended: true
       },
       fixable: null,
-      schema: []
+      schema: [
+        {
+          type: 'object',
+          properties: {
+            ownedCallbackParams: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  argument: { type: 'integer', minimum: 0 },
+                  params: {
+                    type: 'array',
+                    items: { type: 'integer', minimum: 0 }
+                  }
+                },
+                required: ['name', 'params'],
+                additionalProperties: false
+              }
+            },
+            elementCallbacks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  argument: { type: 'integer', minimum: 0 },
+                  param: { type: 'integer', minimum: 0 },
+                  source: { type: 'integer', minimum: 0 }
+                },
+                required: ['name'],
+                additionalProperties: false
+              }
+            },
+            checkThisMembers: { type: 'boolean' },
+            checkImports: { type: 'boolean' },
+            crossModule: {
+              oneOf: [
+                { type: 'boolean' },
+                {
+                  type: 'object',
+                  properties: {
+                    cache: { type: 'boolean' },
+                    cacheLocation: { type: 'string' }
+                  },
+                  additionalProperties: false
+                }
+              ]
+            }
+          },
+          additionalProperties: false
+        }
+      ]
     },
 
     create(context) {
       // Detect if we're in a TypeScript file
       const filename = context.getFilename();
       const isTypeScript = filename.endsWith('.ts') || filename.endsWith('.tsx');
+      const sourceCode = context.getSourceCode();
+      const parserServices = sourceCode.parserServices || context.parserServices;
+      let typeChecker;
+      // Code path analysis state: parameters rebound to fresh values at the end of
+      // each segment (flagged when the value is a shallow copy of the parameter),
+      // aliases of local variables at the end of each segment, and the segments
+      // currently being traversed per code path
+      const segmentReboundParams = new Map();
+      const segmentAliases = new Map();
+      const codePathStack = [];
+      const options = context.options[0] || {};
+      const checkThisMembers = options.checkThisMembers !== false;
+      const checkImports = options.checkImports !== false;
+      const ownedCallbackParams = OWNED_CALLBACK_PARAMS.concat(
+        (options.ownedCallbackParams || []).map(entry => ({ argument: 0, ...entry }))
+      );
+      const elementCallbacks = (options.elementCallbacks || []).map(entry => ({ argument: 0, param: 0, ...entry }));
+      const crossModule = options.crossModule === true ? {} : options.crossModule || null;
+      
+      // Shared state between both rule types
+      const functionScopes = new Map();
+      const functionsWithMutatingParams = new Map();
+      const functionCalls = [];
+      const completedFunctions = [];
+      const propertyAssignments = new Map();
+      const moduleExportsAssignments = [];
+      const resolvedCalls = new Map();
+      const thisMutatingFunctions = new Set();
+      const thisForwardedArguments = [];
+      const loadedModules = new Map();
+      const declaredSignatures = new Map();
+      const overloadSignatures = new Map();
+      
+      // Shared helper functions
+      function unwrapExpression(node) {
+        // Strip syntax that doesn't change which object an expression refers to:
+        // optional chains, TypeScript assertions (`x!`, `x as T`, `x satisfies T`, `<T>x`)
+        // and sequence expressions (`(0, x)`)
+        let current = node;
+        while (current) {
+          if (current.type === 'ChainExpression' ||
+              current.type === 'TSNonNullExpression' ||
+              current.type === 'TSAsExpression' ||
+              current.type === 'TSSatisfiesExpression' ||
+              current.type === 'TSTypeAssertion') {
+            current = current.expression;
+          } else if (current.type === 'SequenceExpression') {
+            current = current.expressions[current.expressions.length - 1];
+          } else {
+            return current;
+          }
+        }
+        return current;
+      }
+      
+      function getPropertyName(memberExpression) {
+        // Name of a statically known property: `x.push`, `x['push']` or `x[`push`]`.
+        // Private names (`x.#push`) never match built-in or static mutators.
+        const property = memberExpression.property;
+        if (!memberExpression.computed) {
+          return property.type === 'Identifier' ? property.name : null;
+        }
+        if (property.type === 'Literal' && typeof property.value === 'string') {
+          return property.value;
+        }
+        if (property.type === 'TemplateLiteral' && property.expressions.length === 0) {
+          return property.quasis[0].value.cooked;
+        }
+        return null;
+      }
+      
+      function getCalledMember(node) {
+        // Return the member expression being called, if any (`x.push(...)`, `(x?.push)(...)`)
+        if (node.type !== 'CallExpression') return null;
+        const callee = unwrapExpression(node.callee);
+        return callee.type === 'MemberExpression' ? callee : null;
+      }
+      
+      function getStaticMutatorPositions(node) {
+        // Return the mutated argument positions of calls like `Object.assign(target, ...)`
+        const callee = getCalledMember(node);
+        if (!callee) return null;
+        
+        // A local binding named `Object` or `Reflect` isn't the built-in
+        const object = unwrapExpression(callee.object);
+        if (object.type !== 'Identifier' ||
+            !Object.prototype.hasOwnProperty.call(STATIC_MUTATORS, object.name) ||
+            !isImplicitGlobal(object, object.name)) {
+          return null;
+        }
+        
+        const mutators = STATIC_MUTATORS[object.name];
+        const methodName = getPropertyName(callee);
+        return methodName !== null && Object.prototype.hasOwnProperty.call(mutators, methodName) 
+          ? mutators[methodName] 
+          : null;
+      }
+      
+      function getTypeChecker() {
+        // Type information is only available when the TypeScript parser has a program
+        if (typeChecker === undefined) {
+          typeChecker = parserServices && parserServices.program && parserServices.esTreeNodeToTSNodeMap
+            ? parserServices.program.getTypeChecker()
+            : null;
+        }
+        return typeChecker;
+      }
+      
+      function getTypeScriptNode(node) {
+        return getTypeChecker() ? parserServices.esTreeNodeToTSNodeMap.get(node) : null;
+      }
+      
+      function isReadonlyType(expression) {
+        // Values whose type doesn't allow mutation: `readonly string[]`, readonly tuples,
+        // `ReadonlyMap`, `ReadonlySet` and `Readonly<T>` (every member of a union)
+        const tsNode = getTypeScriptNode(expression);
+        if (!tsNode) return false;
+        
+        const type = typeChecker.getTypeAtLocation(tsNode);
+        return (type.isUnion() ? type.types : [type]).every(member => 
+          [member.aliasSymbol, member.getSymbol()].some(symbol => symbol && READONLY_TYPES.includes(symbol.name)) ||
+          Boolean(member.target && member.target.readonly)
+        );
+      }
+      
+      function isReadonlyMember(member) {
+        // Properties declared `readonly` (`config.id = ...` with `readonly id: string`)
+        // or belonging to a readonly value
+        const tsNode = getTypeScriptNode(member);
+        if (!tsNode) return false;
+        if (isReadonlyType(member.object)) return true;
+        
+        const ts = require('typescript');
+        const symbol = tsNode.name ? typeChecker.getSymbolAtLocation(tsNode.name) : null;
+        const declarations = (symbol && symbol.declarations) || [];
+        return declarations.length > 0 && declarations.every(declaration => 
+          (ts.getCombinedModifierFlags(declaration) & ts.ModifierFlags.Readonly) !== 0
+        );
+      }
+      
+      function isMutBrand(tsTypeNode, seen = new Set()) {
+        // `Mut<T>` found through the type checker, also behind type aliases declared
+        // anywhere in the program (`type MutUser = Mut<User>`) and renamed imports.
+        // `Mut` itself is declared at the top level of a file or in `declare global`,
+        // never inside another namespace (`Foo.Mut<T>`).
+        if (!tsTypeNode || !tsTypeNode.typeName || seen.has(tsTypeNode)) return false;
+        seen.add(tsTypeNode);
+        
+        const ts = require('typescript');
+        let symbol = typeChecker.getSymbolAtLocation(tsTypeNode.typeName);
+        if (symbol && (symbol.flags & ts.SymbolFlags.Alias)) {
+          symbol = typeChecker.getAliasedSymbol(symbol);
+        }
+        const isTopLevel = declaration => ts.isSourceFile(declaration.parent) ||
+          (ts.isModuleBlock(declaration.parent) && ts.isGlobalScopeAugmentation(declaration.parent.parent));
+        return Boolean(symbol) && (symbol.declarations || []).some(declaration => 
+          ts.isTypeAliasDeclaration(declaration) &&
+          ((declaration.name.text === 'Mut' && isTopLevel(declaration)) || isMutBrand(declaration.type, seen))
+        );
+      }
+      
+      function getDeclarationParams(declaration) {
+        // Mutated parameters of a signature declared in another file, read from its `Mut<T>` types
+        const paramPaths = new Map();
+        let restIndex = Infinity;
+        declaration.parameters.forEach((param, index) => {
+          if (isMutBrand(param.type)) {
+            paramPaths.set(index, [[]]);
+          }
+          if (param.dotDotDotToken) {
+            restIndex = index;
+          }
+        });
+        return { paramPaths, restIndex };
+      }
+      
+      function getTypedDefinition(node) {
+        // The function a call resolves to according to the type checker, for calls that
+        // can't be resolved syntactically (`repo.save(entity)` with `repo: R extends Repository`)
+        const tsNode = getTypeScriptNode(node);
+        const signature = tsNode && typeChecker.getResolvedSignature(tsNode);
+        const declaration = signature && signature.declaration;
+        if (!declaration || !declaration.parameters) return null;
+        
+        const definition = parserServices.tsNodeToESTreeNodeMap.get(declaration);
+        if (!definition) {
+          return { type: 'ModuleFunction', mutatingParams: getDeclarationParams(declaration) };
+        }
+        const value = ['MethodDefinition', 'TSAbstractMethodDefinition', 'Property'].includes(definition.type) 
+          ? definition.value 
+          : definition;
+        return isFunction(value) || isSignature(value) ? value : null;
+      }
+      
+      function getMethodDeclaringTypes(memberExpression, methodName) {
+        // Return the names of the types declaring the called method, or null when
+        // the receiver type is unknown. Methods declared outside of TypeScript's
+        // default library (user code and other declaration files) are reported with
+        // an empty name.
+        const checker = getTypeChecker();
+        if (!checker) return null;
+        
+        const tsNode = parserServices.esTreeNodeToTSNodeMap.get(memberExpression);
+        if (!tsNode || !tsNode.expression) return null;
+        
+        const receiverType = checker.getTypeAtLocation(tsNode.expression);
+        const receiverTypes = receiverType.isUnion() ? receiverType.types : [receiverType];
+        const declaringTypes = [];
+        
+        receiverTypes.forEach(type => {
+          const property = checker.getPropertyOfType(checker.getApparentType(type), methodName);
+          if (!property || !property.declarations) return;
+          
+          property.declarations.forEach(declaration => {
+            const parent = declaration.parent;
+            const isBuiltin = parserServices.program.isSourceFileDefaultLibrary(declaration.getSourceFile()) && 
+              parent && parent.name;
+            declaringTypes.push(isBuiltin ? parent.name.text : '');
+          });
+        });
+        
+        return declaringTypes.length > 0 ? declaringTypes : null;
+      }
+      
+      function isBuiltinMutatorCall(node) {
+        // Check calls like `list.push(x)`, `cache.set(k, v)` or `date.setHours(0)`
+        const callee = getCalledMember(node);
+        if (!callee) {
+          return false;
+        }
+        
+        const methodName = getPropertyName(callee);
+        if (methodName === null || !Object.prototype.hasOwnProperty.call(BUILTIN_MUTATORS, methodName)) {
+          return false;
+        }
+        
+        const declaringTypes = getMethodDeclaringTypes(callee, methodName);
+        return declaringTypes === null || 
+               declaringTypes.some(typeName => BUILTIN_MUTATORS[methodName].includes(typeName));
+      }
+      
+      function getBorrowedMutatorTarget(node) {
+        // Built-in mutators invoked on another receiver (`Array.prototype.push.call(list, x)`,
+        // `[].push.apply(list, items)`) mutate their first argument
+        const callee = getCalledMember(node);
+        const invocation = callee ? getPropertyName(callee) : null;
+        if (invocation !== 'call' && invocation !== 'apply') return null;
+        
+        const method = unwrapExpression(callee.object);
+        const methodName = method.type === 'MemberExpression' ? getPropertyName(method) : null;
+        if (methodName === null || !Object.prototype.hasOwnProperty.call(BUILTIN_MUTATORS, methodName)) {
+          return null;
+        }
+        
+        const owner = unwrapExpression(method.object);
+        const ownerType = owner.type === 'ArrayExpression' ? 'Array' : null;
+        const prototypeOwner = owner.type === 'MemberExpression' && getPropertyName(owner) === 'prototype' 
+          ? unwrapExpression(owner.object) 
+          : null;
+        const typeName = prototypeOwner && prototypeOwner.type === 'Identifier' && isImplicitGlobal(prototypeOwner, prototypeOwner.name)
+          ? prototypeOwner.name
+          : ownerType;
+        
+        const target = node.arguments[0];
+        return typeName && BUILTIN_MUTATORS[methodName].includes(typeName) && target && target.type !== 'SpreadElement'
+          ? unwrapExpression(target)
+          : null;
+      }
+      
+      function isLoopHeadAssignment(node) {
+        // `for (param.key in obj)` / `for (param.cursor of list)` write to their left side
+        return (node.type === 'ForInStatement' || node.type === 'ForOfStatement') &&
+               node.left.type !== 'VariableDeclaration';
+      }
+      
+      function collectTargetMembers(target, members) {
+        // Collect the member expressions written by an assignment target, walking
+        // destructuring patterns (`[param.a, param.b] = ...`, `({ x: param.x } = ...)`)
+        if (!target) return;
+        
+        const current = unwrapExpression(target);
+        switch (current.type) {
+          case 'MemberExpression':
+            members.push(current);
+            break;
+          case 'AssignmentPattern':
+            collectTargetMembers(current.left, members);
+            break;
+          case 'RestElement':
+            collectTargetMembers(current.argument, members);
+            break;
+          case 'ObjectPattern':
+            current.properties.forEach(property => {
+              collectTargetMembers(property.type === 'Property' ? property.value : property, members);
+            });
+            break;
+          case 'ArrayPattern':
+            current.elements.forEach(element => collectTargetMembers(element, members));
+            break;
+        }
+      }
+      
+      function isMutatingOperation(node) {
+        return node.type === 'AssignmentExpression' ||
+               node.type === 'UpdateExpression' ||
+               isLoopHeadAssignment(node) ||
+               (node.type === 'UnaryExpression' && node.operator === 'delete') ||
+               getStaticMutatorPositions(node) !== null ||
+               isBuiltinMutatorCall(node) ||
+               getBorrowedMutatorTarget(node) !== null;
+      }
+      
+      function isArgumentsAccess(node) {
+        // Matches `arguments[0]`, `arguments[1]`, ... (numeric literal index only)
+        return node.type === 'MemberExpression' &&
+               node.computed &&
+               node.object.type === 'Identifier' &&
+               node.object.name === 'arguments' &&
+               node.property.type === 'Literal' &&
+               Number.isInteger(node.property.value) &&
+               node.property.value >= 0;
+      }
+      
+      function getObjectSources(expression) {
+        // Return the root objects (identifiers or `arguments[i]` accesses) that an
+        // expression may evaluate to, or be a property of. Expressions that produce
+        // fresh values (literals, spreads, calls such as `structuredClone(x)` or
+        // `x.slice()`) have no sources, so they never alias a parameter.
+        if (!expression) return [];
+        
+        expression = unwrapExpression(expression);
+        switch (expression.type) {
+          case 'Identifier':
+            return [expression];
+          case 'MemberExpression':
+            return isArgumentsAccess(expression) ? [expression] : getObjectSources(expression.object);
+          case 'ConditionalExpression':
+            return getObjectSources(expression.consequent).concat(getObjectSources(expression.alternate));
+          case 'LogicalExpression':
+            return getObjectSources(expression.left).concat(getObjectSources(expression.right));
+          case 'AssignmentExpression':
+            return expression.operator === '=' ? getObjectSources(expression.right) : [];
+          default:
+            return [];
+        }
+      }
+      
+      function getMutatedObjects(node) {
+        // Return the object expressions affected by a mutating operation
+        // With type information, values and properties declared readonly are never mutated
+        if (node.type === 'AssignmentExpression' || isLoopHeadAssignment(node)) {
+          const members = [];
+          collectTargetMembers(node.left, members);
+          return members.filter(member => !isReadonlyMember(member)).map(member => unwrapExpression(member.object));
+        }
+        
+        if (node.type === 'UpdateExpression' ||
+            (node.type === 'UnaryExpression' && node.operator === 'delete')) {
+          const target = unwrapExpression(node.argument);
+          return target.type === 'MemberExpression' && !isReadonlyMember(target) ? [unwrapExpression(target.object)] : [];
+        }
+        
+        const staticMutatorPositions = getStaticMutatorPositions(node);
+        if (staticMutatorPositions) {
+          return staticMutatorPositions
+            .map(position => node.arguments[position])
+            .filter(argument => argument && argument.type !== 'SpreadElement')
+            .map(unwrapExpression)
+            .filter(argument => !isReadonlyType(argument));
+        }
+        
+        if (isBuiltinMutatorCall(node)) {
+          const receiver = unwrapExpression(getCalledMember(node).object);
+          return isReadonlyType(receiver) ? [] : [receiver];
+        }
+        
+        const borrowedMutatorTarget = getBorrowedMutatorTarget(node);
+        return borrowedMutatorTarget && !isReadonlyType(borrowedMutatorTarget) ? [borrowedMutatorTarget] : [];
+      }
+      
+      function getMutatedPath(mutatedObject) {
+        // Describe nested mutations (`config.plugins.push(p)`) by the mutated member path
+        return mutatedObject.type === 'MemberExpression' ? sourceCode.getText(mutatedObject) : null;
+      }
+      
+      function getInnermostScope(node) {
+        // Same lookup as `sourceCode.getScope(node)`, which isn't available in older ESLint versions
+        const scopeManager = sourceCode.scopeManager;
+        const inner = node.type !== 'Program';
+        for (let current = node; current; current = current.parent) {
+          const scope = scopeManager.acquire(current, inner);
+          if (scope) {
+            return scope.type === 'function-expression-name' ? scope.childScopes[0] : scope;
+          }
+        }
+        return scopeManager.globalScope;
+      }
+      
+      function resolveVariable(identifier) {
+        // Resolve an identifier to the variable it refers to through the scope manager,
+        // so that shadowed names are never confused with each other
+        const scope = getInnermostScope(identifier);
+        const reference = scope.references.find(ref => ref.identifier === identifier);
+        if (reference) {
+          return reference.resolved;
+        }
+        
+        // Declarations without a reference (e.g. parameters or `let x;`)
+        for (let current = scope; current; current = current.upper) {
+          const variable = current.set.get(identifier.name);
+          if (variable) return variable;
+        }
+        return null;
+      }
+      
+      function isFreshCopy(expression) {
+        // Values that can't be the caller's object: literals, constructor calls and
+        // well-known copying functions (`[...items]`, `structuredClone(x)`, `x.slice()`)
+        const value = unwrapExpression(expression);
+        if (isFreshValue(value)) return true;
+        if (!value || value.type !== 'CallExpression') return false;
+        
+        const callee = unwrapExpression(value.callee);
+        if (callee.type === 'Identifier') {
+          return COPY_FUNCTIONS.includes(callee.name);
+        }
+        
+        const member = getCalledMember(value);
+        if (!member) return false;
+        
+        const object = unwrapExpression(member.object);
+        const methodName = getPropertyName(member);
+        if (object.type === 'Identifier' && Object.prototype.hasOwnProperty.call(COPY_STATIC_METHODS, object.name)) {
+          return COPY_STATIC_METHODS[object.name].includes(methodName) ||
+                 (object.name === 'Object' && methodName === 'assign' && isFreshValue(value.arguments[0]));
+        }
+        return COPY_METHODS.includes(methodName);
+      }
+      
+      function getCurrentCodePath() {
+        return codePathStack.length > 0 ? codePathStack[codePathStack.length - 1] : null;
+      }
+      
+      function isReboundToFreshValue(functionNode, paramVariable, throughElements) {
+        // True when, on every path reaching the current location, the parameter binding
+        // has been reassigned to a fresh value (`items = [...items]`). A shallow copy
+        // still holds the caller's elements, so it doesn't count `throughElements`.
+        // Only locations in the function's own code path are considered: nested
+        // functions may run at any time.
+        const codePath = getCurrentCodePath();
+        if (!codePath || codePath.node !== functionNode || codePath.segments.size === 0) return false;
+        
+        return Array.from(codePath.segments).every(segment => {
+          const reboundParams = segmentReboundParams.get(segment.id);
+          return reboundParams && reboundParams.has(paramVariable) &&
+                 !(throughElements && reboundParams.get(paramVariable));
+        });
+      }
+      
+      function trackParamRebinding(identifier, value) {
+        // Record `param = value` in the segments currently being traversed
+        const codePath = getCurrentCodePath();
+        if (!codePath) return;
+        
+        const scope = functionScopes.get(codePath.node);
+        const variable = resolveVariable(identifier);
+        if (!scope || !variable || !scope.params.has(variable)) return;
+        
+        const isFresh = isFreshCopy(value);
+        const copySources = isFresh ? getShallowCopySources(value) : null;
+        const isShallow = Boolean(copySources) && copySources.some(root => {
+          return getMutatedParams(root, scope, false, true).includes(variable);
+        });
+        codePath.segments.forEach(segment => {
+          const reboundParams = segmentReboundParams.get(segment.id);
+          if (isFresh) {
+            reboundParams.set(variable, isShallow);
+          } else {
+            reboundParams.delete(variable);
+          }
+        });
+      }
+      
+      function startCodePathSegment(segment) {
+        // A parameter is rebound at the start of a segment if it is rebound at the end
+        // of every preceding segment that has already been traversed, and holds a
+        // shallow copy if it does on any of them
+        const previous = segment.prevSegments.filter(prevSegment => segmentReboundParams.has(prevSegment.id));
+        let reboundParams = new Map();
+        if (previous.length > 0) {
+          reboundParams = new Map(segmentReboundParams.get(previous[0].id));
+          previous.slice(1).forEach(prevSegment => {
+            const prevRebound = segmentReboundParams.get(prevSegment.id);
+            reboundParams.forEach((isShallow, variable) => {
+              if (!prevRebound.has(variable)) {
+                reboundParams.delete(variable);
+              } else if (prevRebound.get(variable)) {
+                reboundParams.set(variable, true);
+              }
+            });
+          });
+        }
+        
+        segmentReboundParams.set(segment.id, reboundParams);
+        
+        // A local variable may hold any alias assigned on one of the preceding segments
+        const aliases = new Map();
+        previous.forEach(prevSegment => {
+          segmentAliases.get(prevSegment.id).forEach((entry, variable) => {
+            const current = aliases.get(variable);
+            aliases.set(variable, current ? {
+              aliases: new Set([...current.aliases, ...entry.aliases]),
+              elementAliases: new Set([...current.elementAliases, ...entry.elementAliases])
+            } : entry);
+          });
+        });
+        segmentAliases.set(segment.id, aliases);
+        const codePath = getCurrentCodePath();
+        if (codePath) codePath.segments.add(segment);
+      }
+      
+      function endCodePathSegment(segment) {
+        const codePath = getCurrentCodePath();
+        if (codePath) codePath.segments.delete(segment);
+      }
+      
+      function getReachingAliases(scope, variable) {
+        // The parameters a local variable may alias at the current location: in the
+        // function's own code path, those assigned on any path reaching it (`let list = items;
+        // if (c) list = [];`); in nested functions, which may run at any time, all of them
+        const codePath = getCurrentCodePath();
+        if (!codePath || codePath.node !== scope.node || codePath.segments.size === 0) {
+          return {
+            aliases: scope.aliases.get(variable) || new Set(),
+            elementAliases: scope.elementAliases.get(variable) || new Set()
+          };
+        }
+        
+        const reaching = { aliases: new Set(), elementAliases: new Set() };
+        codePath.segments.forEach(segment => {
+          const entry = segmentAliases.get(segment.id).get(variable);
+          if (!entry) return;
+          entry.aliases.forEach(paramVariable => reaching.aliases.add(paramVariable));
+          entry.elementAliases.forEach(paramVariable => reaching.elementAliases.add(paramVariable));
+        });
+        return reaching;
+      }
+      
+      function getMutatedParams(root, scope, ownsArguments, throughElements) {
+        // Resolve a root object to the parameter variables of the given function scope
+        // it refers to, either directly or through a local alias. Shallow copies of a
+        // parameter only refer to it when reached `throughElements` (`copy[0].active`).
+        if (root.type === 'Identifier') {
+          const variable = resolveVariable(root);
+          if (!variable) return [];
+          if (scope.params.has(variable)) {
+            return isReboundToFreshValue(scope.node, variable, throughElements) ? [] : [variable];
+          }
+          const { aliases, elementAliases } = getReachingAliases(scope, variable);
+          return Array.from(throughElements ? new Set([...aliases, ...elementAliases]) : aliases);
+        }
+        
+        // `arguments[i]` only refers to the parameters of the closest non-arrow function
+        if (!ownsArguments) return [];
+        
+        const index = root.property.value;
+        const paramVariable = index >= scope.restIndex 
+          ? scope.argumentBindings.get(scope.restIndex) 
+          : scope.argumentBindings.get(index);
+        return paramVariable ? [paramVariable] : [];
+      }
+      
+      function getContainingFunctions(node) {
+        // Collect all containing functions (innermost first), flagging the one that owns `arguments`
+        const containingFunctions = [];
+        let ownsArguments = true;
+        let parent = node.parent;
+        
+        while (parent) {
+          if (parent.type === 'FunctionDeclaration' || 
+              parent.type === 'FunctionExpression' || 
+              parent.type === 'ArrowFunctionExpression') {
+            // `arguments` belongs to the closest non-arrow function
+            const isArgumentsOwner = ownsArguments && parent.type !== 'ArrowFunctionExpression';
+            if (isArgumentsOwner) {
+              ownsArguments = false;
+            }
+            containingFunctions.push({ node: parent, isArgumentsOwner });
+          }
+          parent = parent.parent;
+        }
+        
+        return containingFunctions;
+      }
+      
+      function collectAliasTargets(pattern, identifiers) {
+        // Collect the identifiers of a declaration or assignment target. Rest elements
+        // receive a shallow copy, so they are not aliases of the source object.
+        if (!pattern) return;
+        
+        switch (pattern.type) {
+          case 'Identifier':
+            identifiers.push(pattern);
+            break;
+          case 'AssignmentPattern':
+            collectAliasTargets(pattern.left, identifiers);
+            break;
+          case 'ObjectPattern':
+            pattern.properties.forEach(property => {
+              if (property.type === 'Property') {
+                collectAliasTargets(property.value, identifiers);
+              }
+            });
+            break;
+          case 'ArrayPattern':
+            pattern.elements.forEach(element => {
+              if (element && element.type !== 'RestElement') {
+                collectAliasTargets(element, identifiers);
+              }
+            });
+            break;
+        }
+      }
+      
+      function getElementSources(expression) {
+        // Return the root objects whose elements are produced when iterating an
+        // expression. Shallow copies (`[...items]`, `items.slice()`) and iterators
+        // (`items.values()`, `Object.entries(map)`) still hold the same elements.
+        if (!expression) return [];
+        
+        expression = unwrapExpression(expression);
+        if (expression.type === 'ArrayExpression') {
+          return expression.elements.reduce((roots, element) => {
+            if (!element) return roots;
+            return roots.concat(element.type === 'SpreadElement' 
+              ? getElementSources(element.argument) 
+              : getObjectSources(element));
+          }, []);
+        }
+        
+        const callee = getCalledMember(expression);
+        if (callee) {
+          const object = unwrapExpression(callee.object);
+          const methodName = getPropertyName(callee);
+          if (object.type === 'Identifier' && object.name === 'Object' && 
+              (methodName === 'values' || methodName === 'entries')) {
+            return getObjectSources(expression.arguments[0]);
+          }
+          if (ELEMENT_PRESERVING_METHODS.includes(methodName)) {
+            return getElementSources(callee.object);
+          }
+        }
+        
+        return getObjectSources(expression);
+      }
+      
+      function getShallowCopySources(expression) {
+        // Return the root objects whose elements or property values a shallow copy
+        // still holds (`[...items]`, `{ ...config }`, `items.slice()`), or null when
+        // the expression isn't a shallow copy
+        const value = unwrapExpression(expression);
+        if (!value) return null;
+        
+        if (value.type === 'ArrayExpression') {
+          return getElementSources(value);
+        }
+        if (value.type === 'ObjectExpression') {
+          return value.properties.reduce((roots, property) => roots.concat(property.type === 'SpreadElement'
+            ? getObjectSources(property.argument)
+            : getObjectSources(property.value)), []);
+        }
+        
+        const member = getCalledMember(value);
+        if (!member) return null;
+        
+        const object = unwrapExpression(member.object);
+        const methodName = getPropertyName(member);
+        if (object.type === 'Identifier' && object.name === 'Array' && methodName === 'from') {
+          return getElementSources(value.arguments[0]);
+        }
+        if (object.type === 'Identifier' && object.name === 'Object') {
+          return methodName === 'assign' && isFreshValue(value.arguments[0])
+            ? value.arguments.reduce((roots, argument, index) => roots.concat(index === 0
+              ? getShallowCopySources(argument)
+              : getObjectSources(argument.type === 'SpreadElement' ? argument.argument : argument)), [])
+            : null;
+        }
+        if (COPY_METHODS.includes(methodName) || ELEMENT_PRESERVING_METHODS.includes(methodName)) {
+          return getElementSources(member.object);
+        }
+        return null;
+      }
+      
+      function getAliasSources(expression) {
+        // Return the root objects an expression refers to, each with how the value
+        // relates to it: the object itself, one of its members or a shallow copy
+        const value = unwrapExpression(expression);
+        if (!value) return [];
+        
+        switch (value.type) {
+          case 'Identifier':
+            return [{ root: value, kind: 'value' }];
+          case 'MemberExpression':
+            return isArgumentsAccess(value)
+              ? [{ root: value, kind: 'value' }]
+              : getObjectSources(value.object).map(root => ({ root, kind: 'member' }));
+          case 'ConditionalExpression':
+            return getAliasSources(value.consequent).concat(getAliasSources(value.alternate));
+          case 'LogicalExpression':
+            return getAliasSources(value.left).concat(getAliasSources(value.right));
+          case 'AssignmentExpression':
+            return value.operator === '=' ? getAliasSources(value.right) : [];
+          default: {
+            const copySources = getShallowCopySources(value);
+            return copySources ? copySources.map(root => ({ root, kind: 'copy' })) : [];
+          }
+        }
+      }
+      
+      function getIterationCallbackSources(node) {
+        // For callbacks such as `users.forEach(u => ...)`, return the position of the
+        // element parameter and the root objects whose elements it receives
+        const call = node.parent;
+        if (!call || call.type !== 'CallExpression' || call.arguments[0] !== node) return null;
+        
+        const callee = getCalledMember(call);
+        const methodName = callee && getPropertyName(callee);
+        if (methodName === null || !Object.prototype.hasOwnProperty.call(ITERATION_CALLBACKS, methodName)) {
+          return null;
+        }
+        
+        return {
+          paramIndex: ITERATION_CALLBACKS[methodName],
+          roots: getElementSources(callee.object)
+        };
+      }
+      
+      function isFreshValue(expression) {
+        // Literals and constructor calls create values nobody else holds a reference to
+        const value = unwrapExpression(expression);
+        return Boolean(value) && 
+               (value.type === 'ArrayExpression' || value.type === 'ObjectExpression' || value.type === 'NewExpression');
+      }
+      
+      function getOwnedParamIndices(node) {
+        // Positions of the parameters owned by a callback, such as the accumulator
+        // of `reduce(..., [])` or the `resolve`/`reject` functions of `new Promise(...)`
+        const call = node.parent;
+        if (!call || (call.type !== 'CallExpression' && call.type !== 'NewExpression')) return [];
+        
+        const callee = unwrapExpression(call.callee);
+        const calleeName = callee.type === 'Identifier' ? callee.name : 
+          callee.type === 'MemberExpression' ? getPropertyName(callee) : null;
+        if (calleeName === null) return [];
+        
+        return ownedCallbackParams.reduce((indices, entry) => {
+          if (entry.name !== calleeName || call.arguments[entry.argument] !== node) return indices;
+          if (entry.isConstructor && call.type !== 'NewExpression') return indices;
+          if (entry.freshArgument !== undefined && !isFreshValue(call.arguments[entry.freshArgument])) return indices;
+          return indices.concat(entry.params);
+        }, []);
+      }
+      
+      function trackAliases(node, target, sources, replace) {
+        // Record local variables that refer to (part of) a parameter so that
+        // mutations through them are attributed to the originating parameter.
+        // Shallow copies (`const copy = [...users]`) are element aliases: only
+        // mutations through their elements or members are attributed.
+        const identifiers = [];
+        collectAliasTargets(target, identifiers);
+        if (identifiers.length === 0) return;
+        
+        for (const { node: currentFunction, isArgumentsOwner } of getContainingFunctions(node)) {
+          const scope = functionScopes.get(currentFunction);
+          if (!scope) continue;
+          
+          const paramVariables = new Set();
+          const elementParamVariables = new Set();
+          const memberParamVariables = new Set();
+          sources.forEach(({ root, kind }) => {
+            // Destructuring always reads members of the source (`const [first] = copy`)
+            const targetKind = target.type === 'Identifier' ? kind : 'member';
+            if (targetKind !== 'copy') {
+              getMutatedParams(root, scope, isArgumentsOwner, targetKind === 'member').forEach(variable => {
+                paramVariables.add(variable);
+                if (targetKind === 'member') memberParamVariables.add(variable);
+              });
+            }
+            if (targetKind !== 'member') {
+              getMutatedParams(root, scope, isArgumentsOwner, true)
+                .forEach(variable => elementParamVariables.add(variable));
+            }
+          });
+          paramVariables.forEach(variable => elementParamVariables.delete(variable));
+          
+          identifiers.forEach(identifier => {
+            const variable = resolveVariable(identifier);
+            
+            // A parameter rebound to an alias of itself is still the parameter
+            if (!variable || scope.params.has(variable)) return;
+            
+            // Every alias ever assigned, for nested functions. Member aliases (`const [first] = items`)
+            // tell mutations of a parameter's elements apart.
+            [
+              [scope.aliases, paramVariables],
+              [scope.elementAliases, elementParamVariables],
+              [scope.memberAliases, memberParamVariables]
+            ].forEach(([aliases, variables]) => {
+              if (variables.size === 0) return;
+              if (!aliases.has(variable)) aliases.set(variable, new Set());
+              variables.forEach(paramVariable => aliases.get(variable).add(paramVariable));
+            });
+            
+            // The aliases reaching the code that follows in the function's own code path
+            const codePath = getCurrentCodePath();
+            if (!codePath || codePath.node !== scope.node) return;
+            codePath.segments.forEach(segment => {
+              const aliases = segmentAliases.get(segment.id);
+              const previous = replace ? null : aliases.get(variable);
+              aliases.set(variable, {
+                aliases: new Set([...(previous ? previous.aliases : []), ...paramVariables]),
+                elementAliases: new Set([...(previous ? previous.elementAliases : []), ...elementParamVariables])
+              });
+            });
+          });
+        }
+      }
+      
+      function hasMutPrefix(paramName) {
+        return paramName.startsWith('mut') && paramName.length > 3 && 
+               /^mut[A-Z]/.test(paramName);
+      }
+      
+      function isMutTypeAnnotation(typeAnnotation, seen = new Set()) {
+        // `Mut<T>`, also combined with other types: every member of a union but `null`
+        // and `undefined` (`Mut<T> | undefined`), any member of an intersection (`Mut<T> & Extra`)
+        if (!typeAnnotation) return false;
+        
+        switch (typeAnnotation.type) {
+          case 'TSUnionType': {
+            const members = typeAnnotation.types.filter(member => !NULLISH_TYPES.includes(member.type));
+            return members.length > 0 && members.every(member => isMutTypeAnnotation(member, seen));
+          }
+          case 'TSIntersectionType':
+            return typeAnnotation.types.some(member => isMutTypeAnnotation(member, seen));
+          case 'TSTypeReference':
+            // With type information, also type aliases declared in other files
+            return isMutTypeName(typeAnnotation.typeName, seen) || isMutBrand(getTypeScriptNode(typeAnnotation));
+          default:
+            return false;
+        }
+      }
+      
+      function isMutTypeName(typeName, seen) {
+        // `Mut`, an import of it under another name (`import type { Mut as M }`), a namespace
+        // import (`MutateTypes.Mut`), or a local type alias or type parameter standing for it
+        // (`type Users = Mut<User[]>`, `<T extends Mut<object>>`)
+        if (typeName.type === 'TSQualifiedName') {
+          if (typeName.right.name !== 'Mut' || typeName.left.type !== 'Identifier') return false;
+          const namespace = resolveVariable(typeName.left);
+          return Boolean(namespace) && namespace.defs.some(definition => {
+            return definition.type === 'ImportBinding' && definition.node.type === 'ImportNamespaceSpecifier';
+          });
+        }
+        if (typeName.type !== 'Identifier') return false;
+        
+        // Not declared in the file: the global `Mut` type
+        const variable = resolveVariable(typeName);
+        if (!variable || variable.defs.length === 0) {
+          return typeName.name === 'Mut';
+        }
+        
+        const definition = variable.defs[0];
+        if (definition.type === 'ImportBinding') {
+          return definition.node.type === 'ImportSpecifier' && getExportName(definition.node.imported) === 'Mut';
+        }
+        
+        const declaration = definition.node;
+        if (seen.has(declaration)) return false;
+        seen.add(declaration);
+        
+        if (declaration.type === 'TSTypeAliasDeclaration') {
+          return declaration.id.name === 'Mut' || isMutTypeAnnotation(declaration.typeAnnotation, seen);
+        }
+        if (declaration.type === 'TSTypeParameter') {
+          return isMutTypeAnnotation(declaration.constraint, seen);
+        }
+        return false;
+      }
+      
+      function hasMutType(param) {
+        // Check if parameter (or parameter pattern) has Mut<T> type annotation
+        return Boolean(param.typeAnnotation) && isMutTypeAnnotation(param.typeAnnotation.typeAnnotation);
+      }
+      
+      function collectParamBindings(pattern, paramIndex, hasMutMarker, bindings, path = []) {
+        // Collect every binding introduced by a parameter. In TypeScript the `Mut<T>`
+        // marker may be placed on any enclosing pattern (e.g. `{ items }: Mut<Options>`)
+        // and applies to all bindings below it. In JavaScript each binding carries its
+        // own `mut` prefix (e.g. `{ items: mutItems }`). `path` holds the property keys
+        // and element indices leading to the binding inside the argument; rest elements
+        // and computed keys stop at the enclosing pattern.
+        if (!pattern) return;
+        
+        const isMarked = hasMutMarker || (isTypeScript && hasMutType(pattern));
+        
+        switch (pattern.type) {
+          case 'Identifier':
+            bindings.push({
+              node: pattern,
+              paramIndex,
+              path,
+              isValidMutable: isTypeScript ? isMarked : hasMutPrefix(pattern.name)
+            });
+            break;
+          case 'AssignmentPattern':
+            collectParamBindings(pattern.left, paramIndex, isMarked, bindings, path);
+            break;
+          case 'RestElement':
+            collectParamBindings(pattern.argument, paramIndex, isMarked, bindings, path);
+            break;
+          case 'ObjectPattern':
+            pattern.properties.forEach(property => {
+              const key = property.type === 'Property' ? getPropertyKeyName(property) : null;
+              collectParamBindings(
+                property.type === 'Property' ? property.value : property, 
+                paramIndex, 
+                isMarked, 
+                bindings, 
+                key === null ? path : path.concat(key)
+              );
+            });
+            break;
+          case 'ArrayPattern':
+            pattern.elements.forEach((element, index) => {
+              const elementPath = element && element.type === 'RestElement' ? path : path.concat(index);
+              collectParamBindings(element, paramIndex, isMarked, bindings, elementPath);
+            });
+            break;
+          case 'TSParameterProperty':
+            // Constructor parameter properties: `constructor(private items: Mut<Item[]>)`
+            collectParamBindings(pattern.parameter, paramIndex, isMarked, bindings, path);
+            break;
+        }
+      }
+      
+      function getArgumentsBinding(param) {
+        // Identifier of the binding that `arguments[i]` aliases, if the parameter is a plain identifier
+        let current = param;
+        if (current.type === 'TSParameterProperty') current = current.parameter;
+        if (current.type === 'RestElement') current = current.argument;
+        if (current.type === 'AssignmentPattern') current = current.left;
+        return current.type === 'Identifier' ? current : null;
+      }
+      
+      function hasValidMutableMarker(argument) {
+        if (isTypeScript) {
+          // In TypeScript, check if the binding is declared with Mut<T> type or has mut prefix
+          return isMutBinding(argument) || hasMutPrefix(argument.name);
+        } else {
+          // In JavaScript, require mut prefix
+          return hasMutPrefix(argument.name);
+        }
+      }
+      
+      function isMutBinding(identifier) {
+        // Bindings declared mutable: parameters and variables with a `Mut<T>` type (also on an
+        // enclosing destructuring pattern), and variables initialized with a `Mut<T>` value
+        const variable = resolveVariable(identifier);
+        if (!variable || variable.defs.length === 0) return false;
+        
+        const definition = variable.defs[0];
+        const bindings = [];
+        if (definition.type === 'Parameter') {
+          definition.node.params.forEach((param, index) => collectParamBindings(param, index, false, bindings));
+        } else if (definition.type === 'Variable') {
+          collectParamBindings(definition.node.id, 0, false, bindings);
+          if (isMutValue(definition.node.init)) return true;
+        }
+        return bindings.some(binding => binding.node === definition.name && binding.isValidMutable);
+      }
+      
+      function isMutValue(expression) {
+        // `x as Mut<T>`, `<Mut<T>>x`, or the result of a function declared to return `Mut<T>`
+        let value = expression;
+        let isAwaited = false;
+        while (value && (value.type === 'TSNonNullExpression' || value.type === 'AwaitExpression')) {
+          isAwaited = isAwaited || value.type === 'AwaitExpression';
+          value = value.type === 'AwaitExpression' ? value.argument : value.expression;
+        }
+        if (!value) return false;
+        if (value.type === 'TSAsExpression' || value.type === 'TSTypeAssertion') {
+          return isMutTypeAnnotation(value.typeAnnotation) || isMutValue(value.expression);
+        }
+        if (value.type !== 'CallExpression') return false;
+        
+        const callable = resolveCallable(value.callee);
+        const definition = callable && callable.definition;
+        if (!definition || definition.type === 'ModuleFunction') return false;
+        
+        // An async function declared to return `Promise<Mut<T>>` is unwrapped by `await`
+        return [definition].concat(getOverloadSignatures(definition)).some(signature => {
+          let returnType = signature.returnType && signature.returnType.typeAnnotation;
+          const typeArguments = returnType && (returnType.typeArguments || returnType.typeParameters);
+          if (isAwaited && returnType && returnType.type === 'TSTypeReference' &&
+              returnType.typeName.type === 'Identifier' && returnType.typeName.name === 'Promise' && typeArguments) {
+            returnType = typeArguments.params[0];
+          }
+          return isMutTypeAnnotation(returnType);
+        });
+      }
+      
+      function isMutField(member) {
+        // `this.items` for a field declared `items: Mut<Item[]>` (or initialized with a `Mut<T>`
+        // value), or a constructor parameter property `private items: Mut<Item[]>`
+        const thisContext = getThisContext(member);
+        if (!thisContext || !thisContext.classNode) return false;
+        
+        const fieldName = getMemberName(member);
+        return thisContext.classNode.body.body.some(classMember => {
+          if (classMember.type === 'PropertyDefinition') {
+            return Boolean(classMember.static) === Boolean(thisContext.isStatic) &&
+                   getPropertyKeyName(classMember) === fieldName &&
+                   ((classMember.typeAnnotation && isMutTypeAnnotation(classMember.typeAnnotation.typeAnnotation)) ||
+                    isMutValue(classMember.value));
+          }
+          if (classMember.type !== 'MethodDefinition' || classMember.kind !== 'constructor' || thisContext.isStatic) {
+            return false;
+          }
+          const bindings = [];
+          classMember.value.params
+            .filter(param => param.type === 'TSParameterProperty')
+            .forEach((param, index) => collectParamBindings(param, index, false, bindings));
+          return bindings.some(binding => binding.node.name === fieldName && binding.isValidMutable);
+        });
+      }
+      
+      function isImportedBinding(identifier) {
+        // Bindings created by `import` or by `const x = require(...)`
+        const variable = resolveVariable(identifier);
+        if (!variable || variable.defs.length !== 1) return false;
+        
+        const definition = variable.defs[0];
+        if (definition.type === 'ImportBinding') return true;
+        
+        const init = definition.type === 'Variable' && definition.node.init 
+          ? unwrapExpression(definition.node.init) 
+          : null;
+        return Boolean(init && init.type === 'CallExpression' && 
+                       isImplicitGlobal(unwrapExpression(init.callee), 'require'));
+      }
+      
+      function getArgumentTarget(argument) {
+        // Find the binding whose data a mutated argument belongs to: the argument itself (`user`),
+        // the root of a member chain (`state.user`, `rows[0]`) or the first property of `this`
+        // (`this.items`). A 'mut' prefixed property along the chain (`state.mutUser`) or an
+        // assertion to `Mut<T>` at the call site (`sortIt(list as Mut<number[]>)`) marks it.
+        const isAsserted = isMutValue(argument);
+        const value = unwrapExpression(argument);
+        const members = [];
+        let root = value;
+        while (root.type === 'MemberExpression') {
+          members.unshift(root);
+          root = unwrapExpression(root.object);
+        }
+        
+        const path = members.length > 0 ? sourceCode.getText(value) : null;
+        const hasMarkedProperty = members.some(member => 
+          !member.computed && member.property.type === 'Identifier' && hasMutPrefix(member.property.name)
+        );
+        
+        if (root.type === 'Identifier') {
+          if (!checkImports && isImportedBinding(root)) return null;
+          return { node: root, name: root.name, path, isMarked: isAsserted || hasMarkedProperty || hasValidMutableMarker(root) };
+        }
+        
+        if (root.type === 'ThisExpression' && checkThisMembers && members.length > 0) {
+          const property = members[0].property;
+          if (members[0].computed || property.type !== 'Identifier') return null;
+          return { 
+            node: members[0], 
+            name: property.name, 
+            path, 
+            isMarked: isAsserted || hasMarkedProperty || (isTypeScript && isMutField(members[0])) 
+          };
+        }
+        return null;
+      }
+      
+      function reportMutatedArgument(argument, functionName, kind) {
+        const target = getArgumentTarget(argument);
+        if (target && !target.isMarked) {
+          context.report({
+            node: target.node,
+            message: getErrorMessage(target.name, functionName, target.path, kind)
+          });
+        }
+      }
+      
+      function getErrorMessage(paramName, functionName = null, mutatedPath = null, kind = 'argument') {
+        if (ruleType === 'param') {
+          const through = (mutatedPath ? ` through '${mutatedPath}'` : '') +
+            (functionName ? ` by function '${functionName}'` : '');
+          if (isTypeScript) {
+            return `Parameter '${paramName}' is mutated${through} but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.`;
+          } else {
+            return `Parameter '${paramName}' is mutated${through} but doesn't have 'mut' prefix. Consider renaming to 'mut${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}'.`;
+          }
+        } else {
+          // Member arguments (`state.user`) are reported by the binding they belong to
+          const argument = mutatedPath || paramName;
+          const renaming = mutatedPath ? `renaming '${paramName}' to` : 'renaming to';
+          const mutation = {
+            argument: `Argument '${argument}' is passed to function '${functionName}' which mutates this parameter.`,
+            elements: `Elements of '${argument}' are passed to function '${functionName}' which mutates this parameter.`,
+            receiver: `Method '${functionName}' mutates its receiver '${argument}'.`
+          }[kind];
+          if (isTypeScript) {
+            return `${mutation} Consider using 'Mut<T>' type annotation or ${renaming} 'mut${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}'.`;
+          } else {
+            return `${mutation} Consider ${renaming} 'mut${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}'.`;
+          }
+        }
+      }
+      
+      function getCalledName(expression) {
+        // Name of a called function (`update(x)`, `utils.update(x)`, `utils['update'](x)`, `this.#update(x)`)
+        const callee = unwrapExpression(expression);
+        if (callee.type === 'Identifier') {
+          return callee.name;
+        } else if (callee.type === 'MemberExpression') {
+          return getMemberName(callee);
+        }
+        return null;
+      }
+      
+      function getMemberName(memberExpression) {
+        // Like `getPropertyName`, but keeps private names (`this.#update`)
+        const property = memberExpression.property;
+        return property.type === 'PrivateIdentifier' ? `#${property.name}` : getPropertyName(memberExpression);
+      }
+      
+      function getPropertyKeyName(property) {
+        // Name of a statically known object literal or class member key:
+        // `{ update }`, `{ 'update': f }`, `#update() {}`
+        if (property.key.type === 'PrivateIdentifier') {
+          return `#${property.key.name}`;
+        }
+        if (!property.computed && property.key.type === 'Identifier') {
+          return property.key.name;
+        }
+        if (property.key.type === 'Literal') {
+          return String(property.key.value);
+        }
+        return null;
+      }
+      
+      function resolveStaticValue(expression, seen = new Set()) {
+        // Follow bindings that always hold the same value (function declarations,
+        // `const f = ...`) and properties of object literals (`handlers.update`)
+        // to the expression that defines them
+        const value = unwrapExpression(expression);
+        if (!value || seen.has(value)) return null;
+        seen.add(value);
+        
+        if (value.type === 'Identifier') {
+          const variable = resolveVariable(value);
+          if (!variable) return null;
+          
+          // Overloaded functions (`function sort(list: Mut<T[]>): void; function sort(list) {}`)
+          // resolve to their implementation, or to the first signature when declared only
+          const implementations = variable.defs.filter(definition => definition.node.type === 'FunctionDeclaration');
+          if (variable.defs.length > 1 && implementations.length <= 1 &&
+              variable.defs.every(definition => definition.type === 'FunctionName')) {
+            return (implementations[0] || variable.defs[0]).node;
+          }
+          
+          // A binding whose value isn't known still has the type it was declared with
+          const declaredType = getDeclaredType(variable);
+          if (variable.defs.length !== 1 || variable.references.some(ref => ref.isWrite() && !ref.init)) {
+            return declaredType;
+          }
+          
+          const definition = variable.defs[0];
+          if (definition.type === 'FunctionName' || definition.type === 'ClassName') {
+            return definition.node;
+          }
+          if (definition.type === 'ImportBinding') {
+            return resolveImportBinding(definition);
+          }
+          if (definition.type === 'Variable' && definition.node.init) {
+            if (definition.node.id === definition.name) {
+              return resolveStaticValue(definition.node.init, seen) || declaredType;
+            }
+            
+            // `const { applyDefaults } = require('./config')`
+            const key = getDestructuredKey(definition.node.id, definition.name);
+            const object = key !== null ? resolveStaticValue(definition.node.init, seen) : null;
+            return isModuleNamespace(object) ? getModuleExport(object, key) : null;
+          }
+          return declaredType;
+        }
+        
+        // `require('./config')`
+        if (value.type === 'CallExpression' && isImplicitGlobal(unwrapExpression(value.callee), 'require')) {
+          return loadModule(value.arguments[0]) || value;
+        }
+        
+        if (isModuleExports(value)) {
+          return moduleExportsAssignments.length === 1 ? resolveStaticValue(moduleExportsAssignments[0], seen) : null;
+        }
+        
+        if (value.type === 'MemberExpression') {
+          const propertyName = getPropertyName(value);
+          if (propertyName === null) return null;
+          
+          // Properties assigned after the object was created (`utils.fill = ...`, `exports.fill = ...`)
+          const objectKey = getAssignedObjectKey(value.object);
+          const assignments = objectKey && propertyAssignments.has(objectKey) 
+            ? propertyAssignments.get(objectKey).get(propertyName) 
+            : null;
+          
+          const object = resolveStaticValue(value.object, seen);
+          if (isModuleNamespace(object)) {
+            return getModuleExport(object, propertyName);
+          }
+          if (isObjectType(object)) {
+            return findTypeMember(object, propertyName);
+          }
+          const literalValue = object && object.type === 'ObjectExpression' 
+            ? getObjectPropertyValue(object, propertyName) 
+            : null;
+          
+          // Give up when the property may hold more than one function
+          if (assignments) {
+            return assignments.length === 1 && !literalValue ? resolveStaticValue(assignments[0], seen) : null;
+          }
+          return literalValue ? resolveStaticValue(literalValue, seen) : null;
+        }
+        
+        return value;
+      }
+      
+      function isImplicitGlobal(identifier, name) {
+        // `module` and `exports` are provided by the CommonJS wrapper and built-ins such as
+        // `Object` by the environment, unless a binding in the file shadows them
+        if (identifier.type !== 'Identifier' || identifier.name !== name) return false;
+        const variable = resolveVariable(identifier);
+        return !variable || variable.defs.length === 0;
+      }
+      
+      function isModuleExports(node) {
+        return node.type === 'MemberExpression' &&
+               isImplicitGlobal(unwrapExpression(node.object), 'module') &&
+               getPropertyName(node) === 'exports';
+      }
+      
+      function getAssignedObjectKey(expression) {
+        // Identify an object that properties can be assigned on: a variable
+        // (`utils.fill = ...`) or the module exports (`exports.fill = ...`)
+        const object = unwrapExpression(expression);
+        if (isModuleExports(object) || isImplicitGlobal(object, 'exports')) {
+          return 'module.exports';
+        }
+        
+        // Only objects declared in the file; a parameter may be a different object on every call
+        const variable = object.type === 'Identifier' ? resolveVariable(object) : null;
+        if (variable && variable.defs.length === 1 &&
+            ['Variable', 'FunctionName', 'ClassName'].includes(variable.defs[0].type)) {
+          return variable;
+        }
+        return null;
+      }
+      
+      function trackPropertyAssignment(node) {
+        // Record function definitions assigned to properties, so that calls
+        // such as `utils.fill(list)` can be resolved once the file is complete
+        const target = unwrapExpression(node.left);
+        if (target.type !== 'MemberExpression') return;
+        
+        if (isModuleExports(target)) {
+          moduleExportsAssignments.push(node.right);
+          return;
+        }
+        
+        const propertyName = getPropertyName(target);
+        const objectKey = getAssignedObjectKey(target.object);
+        if (propertyName === null || !objectKey) return;
+        
+        if (!propertyAssignments.has(objectKey)) {
+          propertyAssignments.set(objectKey, new Map());
+        }
+        const assignments = propertyAssignments.get(objectKey);
+        assignments.set(propertyName, (assignments.get(propertyName) || []).concat(node.right));
+      }
+      
+      function getObjectPropertyValue(object, propertyName) {
+        // The last property with that key wins; a spread after it may replace it
+        for (let index = object.properties.length - 1; index >= 0; index--) {
+          const property = object.properties[index];
+          if (property.type !== 'Property') return null;
+          if (getPropertyKeyName(property) === propertyName) {
+            return property.kind === 'init' ? property.value : null;
+          }
+        }
+        return null;
+      }
+      
+      function getDeclaredType(variable) {
+        // The type a binding is annotated with (`cb: (acc: Mut<State>) => void`, `repo: Repository`)
+        const definition = variable.defs.length === 1 ? variable.defs[0] : null;
+        const annotation = definition && definition.name.typeAnnotation;
+        return annotation ? resolveDeclaredType(annotation.typeAnnotation) : null;
+      }
+      
+      function resolveDeclaredType(typeNode, seen = new Set()) {
+        // Follow a type annotation to a function type, an object type (type literal or
+        // interface) or the instances of a class declared in the file
+        if (!typeNode || seen.has(typeNode)) return null;
+        seen.add(typeNode);
+        
+        if (typeNode.type === 'TSFunctionType' || typeNode.type === 'TSTypeLiteral') {
+          return typeNode;
+        }
+        if (typeNode.type !== 'TSTypeReference') {
+          return null;
+        }
+        
+        // `Mut<Repository>` has the members of `Repository`
+        const typeArguments = typeNode.typeArguments || typeNode.typeParameters;
+        if (typeArguments && typeArguments.params.length === 1 && isMutTypeName(typeNode.typeName, new Set())) {
+          return resolveDeclaredType(typeArguments.params[0], seen);
+        }
+        return typeNode.typeName.type === 'Identifier' ? resolveTypeName(typeNode.typeName, seen) : null;
+      }
+      
+      function resolveTypeName(identifier, seen) {
+        const variable = resolveVariable(identifier);
+        if (!variable) return null;
+        
+        const declarations = variable.defs.map(definition => definition.node);
+        const alias = declarations.find(declaration => declaration.type === 'TSTypeAliasDeclaration');
+        if (alias) {
+          return resolveDeclaredType(alias.typeAnnotation, seen);
+        }
+        
+        // Interfaces may be declared more than once and merge their members
+        const interfaces = declarations.filter(declaration => declaration.type === 'TSInterfaceDeclaration');
+        if (interfaces.length > 0) {
+          return { type: 'InterfaceType', declarations: interfaces };
+        }
+        const classNode = declarations.find(isClass);
+        return classNode ? { type: 'ClassInstance', classNode } : null;
+      }
+      
+      function isObjectType(value) {
+        return Boolean(value) && ['TSTypeLiteral', 'InterfaceType', 'ClassInstance'].includes(value.type);
+      }
+      
+      function findTypeMember(objectType, memberName, seen = new Set()) {
+        // The signature of a method or function-typed property of an object type
+        // (`repo.save(entity)` with `repo: Repository`), following `extends`
+        if (objectType.type === 'ClassInstance') {
+          return findClassMember(objectType.classNode, memberName, false);
+        }
+        
+        const declarations = objectType.type === 'TSTypeLiteral' 
+          ? [{ members: objectType.members, heritage: [] }] 
+          : objectType.declarations.map(declaration => ({ members: declaration.body.body, heritage: declaration.extends || [] }));
+        
+        for (const { members } of declarations) {
+          for (const member of members) {
+            if ((member.type !== 'TSMethodSignature' && member.type !== 'TSPropertySignature') ||
+                getPropertyKeyName(member) !== memberName) {
+              continue;
+            }
+            if (member.type === 'TSMethodSignature') {
+              return member.kind === 'method' ? member : null;
+            }
+            return member.typeAnnotation ? resolveDeclaredType(member.typeAnnotation.typeAnnotation) : null;
+          }
+        }
+        
+        for (const { heritage } of declarations) {
+          for (const parent of heritage) {
+            const parentType = parent.expression.type === 'Identifier' ? resolveTypeName(parent.expression, new Set()) : null;
+            if (isObjectType(parentType) && !seen.has(parent)) {
+              seen.add(parent);
+              const member = findTypeMember(parentType, memberName, seen);
+              if (member) return member;
+            }
+          }
+        }
+        return null;
+      }
+      
+      function isCallable(definition) {
+        // Definitions whose mutated parameters are known: functions, declared signatures
+        // and functions of other modules
+        return isFunction(definition) || isSignature(definition) || Boolean(definition && definition.type === 'ModuleFunction');
+      }
+      
+      function isSignature(node) {
+        // Functions declared without a body: `declare function`, overload and abstract
+        // method signatures, interface methods and function types
+        return Boolean(node) && SIGNATURE_TYPES.includes(node.type);
+      }
+      
+      function getSignatureParams(signature) {
+        // Parameters a declared signature marks as mutated with `Mut<T>`
+        if (!declaredSignatures.has(signature)) {
+          const paramPaths = new Map();
+          let restIndex = Infinity;
+          (signature.params || signature.parameters || []).forEach((param, index) => {
+            const bindings = [];
+            collectParamBindings(param, index, false, bindings);
+            bindings.filter(binding => binding.isValidMutable).forEach(binding => {
+              paramPaths.set(index, (paramPaths.get(index) || []).concat([binding.path]));
+            });
+            if (param.type === 'RestElement') {
+              restIndex = index;
+            }
+          });
+          declaredSignatures.set(signature, { paramPaths, restIndex });
+        }
+        return declaredSignatures.get(signature);
+      }
+      
+      function getOverloadSignatures(definition) {
+        // Overload signatures declared next to a function or method (`function sort(list: Mut<T[]>): void;`)
+        if (!overloadSignatures.has(definition)) {
+          const parent = definition.parent;
+          let signatures = [];
+          if (parent.type === 'MethodDefinition' || parent.type === 'TSAbstractMethodDefinition') {
+            const methodName = getPropertyKeyName(parent);
+            signatures = parent.parent.body
+              .filter(member => member !== parent && member.kind === 'method' &&
+                                (member.type === 'MethodDefinition' || member.type === 'TSAbstractMethodDefinition') &&
+                                Boolean(member.static) === Boolean(parent.static) &&
+                                getPropertyKeyName(member) === methodName)
+              .map(member => member.value)
+              .filter(isSignature);
+          } else if ((definition.type === 'FunctionDeclaration' || definition.type === 'TSDeclareFunction') && definition.id) {
+            const statement = parent.type === 'ExportNamedDeclaration' || parent.type === 'ExportDefaultDeclaration' ? parent : definition;
+            const siblings = Array.isArray(statement.parent.body) ? statement.parent.body : [];
+            signatures = siblings
+              .map(sibling => sibling.type === 'ExportNamedDeclaration' || sibling.type === 'ExportDefaultDeclaration' ? sibling.declaration : sibling)
+              .filter(sibling => sibling && sibling !== definition && sibling.type === 'TSDeclareFunction' &&
+                                 sibling.id && sibling.id.name === definition.id.name);
+          }
+          overloadSignatures.set(definition, signatures);
+        }
+        return overloadSignatures.get(definition);
+      }
       
-      // Shared state between both rule types
-      const functionScopes = new Map();
-      const functionsWithMutatingParams = new Map();
-      const functionCalls = [];
-      const mutTypeVariables = new Set();
+      function getDestructuredKey(pattern, identifier) {
+        // Key of a binding destructured at the top level of an object pattern (`{ fill }`, `{ fill: f }`)
+        if (pattern.type !== 'ObjectPattern') return null;
+        const property = pattern.properties.find(candidate => 
+          candidate.type === 'Property' && candidate.value === identifier
+        );
+        return property ? getPropertyKeyName(property) : null;
+      }
       
-      // Shared helper functions
-      function isMutatingOperation(node) {
-        return node.type === 'AssignmentExpression' ||
-               node.type === 'UpdateExpression' ||
-               (node.type === 'CallExpression' && 
-                node.callee.type === 'MemberExpression' &&
-                ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill'].includes(node.callee.property.name));
+      function getExportName(node) {
+        // `export { fill }` or `export { fill as 'fill-list' }`
+        return node.type === 'Identifier' ? node.name : String(node.value);
       }
       
-      function getRootObjectName(memberExpression) {
-        let current = memberExpression;
-        while (current.object && current.object.type === 'MemberExpression') {
-          current = current.object;
+      function getParser() {
+        // ESLint before 8.40 only exposes the name the parser was defined with, which
+        // is its path unless it was defined under another name (imported modules are
+        // then parsed with the default parser)
+        const languageOptions = context.languageOptions;
+        if (languageOptions && languageOptions.parser) return languageOptions.parser;
+        if (!context.parserPath) return null;
+        try {
+          return require(context.parserPath);
+        } catch (error) {
+          return null;
         }
-        return current.object && current.object.type === 'Identifier' ? current.object.name : null;
       }
       
-      function isParameterMutation(node, paramNames) {
-        if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
-          const objectName = getRootObjectName(node.left) || node.left.object.name;
-          return paramNames.has(objectName);
+      function loadModule(source) {
+        // Exported signatures of an imported module (`'./config'`), when cross-module
+        // analysis is enabled and the module can be found and parsed
+        const specifier = source && source.type === 'Literal' ? source.value : null;
+        if (!crossModule || typeof specifier !== 'string') return null;
+        
+        if (!loadedModules.has(specifier)) {
+          const languageOptions = context.languageOptions;
+          const filePath = resolveModulePath(specifier, filename);
+          const signatures = filePath && loadModuleSignatures(filePath, {
+            // Modules analyzed for their signatures receive the parser they were parsed with
+            parser: moduleParser !== undefined ? moduleParser : getParser(),
+            parserOptions: (languageOptions && languageOptions.parserOptions) || context.parserOptions,
+            ruleOptions: options,
+            cache: crossModule.cache,
+            cacheLocation: crossModule.cacheLocation,
+            cwd: context.getCwd ? context.getCwd() : context.cwd
+          });
+          loadedModules.set(specifier, signatures 
+            ? { type: 'ModuleNamespace', exports: signatures.exports, isCommonJS: signatures.isCommonJS } 
+            : null);
         }
+        return loadedModules.get(specifier);
+      }
+      
+      function isModuleNamespace(value) {
+        return Boolean(value) && value.type === 'ModuleNamespace';
+      }
+      
+      function getModuleExport(namespace, name) {
+        // A function exported by an imported module, described by its mutated parameters
+        if (!namespace || !Object.prototype.hasOwnProperty.call(namespace.exports, name)) return null;
+        const signature = namespace.exports[name];
+        return {
+          type: 'ModuleFunction',
+          mutatingParams: {
+            paramPaths: new Map(signature.params),
+            restIndex: signature.restIndex === null ? Infinity : signature.restIndex,
+            elementParams: new Set(signature.elementParams || [])
+          }
+        };
+      }
+      
+      function resolveImportBinding(definition) {
+        // `import { fill } from './utils'`, `import utils from './utils'` or `import * as utils from './utils'`.
+        // The default import of a CommonJS module is its `module.exports` object.
+        const namespace = loadModule(definition.parent.source);
+        const specifier = definition.node;
+        if (!namespace || specifier.type === 'ImportNamespaceSpecifier') return namespace;
         
-        if (node.type === 'UpdateExpression' && node.argument.type === 'MemberExpression') {
-          const objectName = getRootObjectName(node.argument) || node.argument.object.name;
-          return paramNames.has(objectName);
+        const importedName = specifier.type === 'ImportDefaultSpecifier' ? 'default' : getExportName(specifier.imported);
+        return namespace.isCommonJS && importedName === 'default' ? namespace : getModuleExport(namespace, importedName);
+      }
+      
+      function getMutatingParams(definition) {
+        // Parameters mutated by a function: found in its body, declared with `Mut<T>` by
+        // its signature or by one of its overloads, or read from the module exporting it
+        if (definition.type === 'ModuleFunction') {
+          return definition.mutatingParams;
+        }
+        if (!isFunction(definition) && !isSignature(definition)) {
+          return null;
         }
         
-        if (node.type === 'CallExpression' && 
-            node.callee.type === 'MemberExpression' &&
-            node.callee.object.type === 'Identifier') {
-          const objectName = node.callee.object.name;
-          const methodName = node.callee.property.name;
-          if (paramNames.has(objectName) && 
-              ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill'].includes(methodName)) {
-            return true;
+        const own = isSignature(definition) ? getSignatureParams(definition) : functionsWithMutatingParams.get(definition);
+        const overloads = definition.type === 'TSMethodSignature' || definition.type === 'TSFunctionType' 
+          ? [] 
+          : getOverloadSignatures(definition);
+        if (overloads.length === 0) return own;
+        
+        const paramPaths = new Map(own ? own.paramPaths : []);
+        overloads.forEach(signature => {
+          getSignatureParams(signature).paramPaths.forEach((paths, index) => {
+            paramPaths.set(index, (paramPaths.get(index) || []).concat(paths));
+          });
+        });
+        return { paramPaths, restIndex: own ? own.restIndex : Infinity, elementParams: own ? own.elementParams : undefined };
+      }
+      
+      function collectModuleSignatures() {
+        // Mutated parameters of the functions this module exports, for modules importing it
+        const exported = new Map();
+        const starExports = [];
+        
+        sourceCode.ast.body.forEach(statement => {
+          if (statement.type === 'ExportNamedDeclaration') {
+            const declaration = statement.declaration;
+            if (declaration && (declaration.type === 'FunctionDeclaration' || declaration.type === 'TSDeclareFunction')) {
+              exported.set(declaration.id.name, declaration);
+            } else if (declaration && declaration.type === 'VariableDeclaration') {
+              declaration.declarations.forEach(declarator => {
+                if (declarator.id.type === 'Identifier' && declarator.init) {
+                  exported.set(declarator.id.name, resolveStaticValue(declarator.init));
+                }
+              });
+            }
+            
+            // `export { fill }` and `export { fill } from './utils'`
+            const namespace = statement.source ? loadModule(statement.source) : null;
+            statement.specifiers.forEach(specifier => {
+              exported.set(getExportName(specifier.exported), statement.source 
+                ? getModuleExport(namespace, getExportName(specifier.local)) 
+                : resolveStaticValue(specifier.local));
+            });
+          } else if (statement.type === 'ExportDefaultDeclaration') {
+            const declaration = statement.declaration;
+            exported.set('default', isFunction(declaration) || isSignature(declaration) ? declaration : resolveStaticValue(declaration));
+          } else if (statement.type === 'ExportAllDeclaration' && !statement.exported) {
+            starExports.push(loadModule(statement.source));
           }
+        });
+        
+        // `export * from './utils'` doesn't re-export default nor names exported explicitly
+        starExports.forEach(namespace => {
+          Object.keys(namespace ? namespace.exports : {}).forEach(name => {
+            if (name !== 'default' && !exported.has(name)) {
+              exported.set(name, getModuleExport(namespace, name));
+            }
+          });
+        });
+        
+        // CommonJS: `module.exports = fill`, `module.exports = { fill }` and `exports.fill = fill`
+        const moduleExports = moduleExportsAssignments.length === 1 ? resolveStaticValue(moduleExportsAssignments[0]) : null;
+        const exportAssignments = propertyAssignments.get('module.exports') || new Map();
+        if (isModuleNamespace(moduleExports)) {
+          Object.keys(moduleExports.exports).forEach(name => exported.set(name, getModuleExport(moduleExports, name)));
+        } else if (moduleExports && moduleExports.type === 'ObjectExpression') {
+          moduleExports.properties.forEach(property => {
+            const name = property.type === 'Property' && property.kind === 'init' ? getPropertyKeyName(property) : null;
+            if (name !== null) {
+              exported.set(name, resolveStaticValue(property.value));
+            }
+          });
+        } else if (moduleExports) {
+          exported.set('default', moduleExports);
         }
+        exportAssignments.forEach((assignments, name) => {
+          exported.set(name, assignments.length === 1 ? resolveStaticValue(assignments[0]) : null);
+        });
         
-        return false;
+        const signatures = {};
+        exported.forEach((definition, name) => {
+          const mutatingParams = definition && getMutatingParams(definition);
+          if (mutatingParams && mutatingParams.paramPaths.size > 0) {
+            signatures[name] = {
+              params: Array.from(mutatingParams.paramPaths),
+              restIndex: mutatingParams.restIndex === Infinity ? null : mutatingParams.restIndex,
+              elementParams: Array.from(mutatingParams.elementParams || [])
+            };
+          }
+        });
+        return {
+          exports: signatures,
+          isCommonJS: moduleExportsAssignments.length > 0 || exportAssignments.size > 0
+        };
       }
       
-      function hasMutPrefix(paramName) {
-        return paramName.startsWith('mut') && paramName.length > 3 && 
-               /^mut[A-Z]/.test(paramName);
+      function isClass(node) {
+        return node !== null && (node.type === 'ClassDeclaration' || node.type === 'ClassExpression');
       }
       
-      function hasMutType(param) {
-        // Check if parameter has Mut<T> type annotation
-        return param.typeAnnotation && 
-               param.typeAnnotation.typeAnnotation &&
-               param.typeAnnotation.typeAnnotation.type === 'TSTypeReference' &&
-               param.typeAnnotation.typeAnnotation.typeName &&
-               param.typeAnnotation.typeAnnotation.typeName.name === 'Mut';
+      function isFunction(node) {
+        return node !== null && (node.type === 'FunctionDeclaration' ||
+                                 node.type === 'FunctionExpression' ||
+                                 node.type === 'ArrowFunctionExpression');
+      }
+      
+      function resolveClass(expression) {
+        const value = expression ? resolveStaticValue(expression) : null;
+        return isClass(value) ? value : null;
+      }
+      
+      function findClassMember(classNode, memberName, isStatic, seen = new Set()) {
+        // Look up a method (or a function-valued field) by name, following `extends`
+        if (seen.has(classNode)) return null;
+        seen.add(classNode);
+        
+        let signature = null;
+        for (const member of classNode.body.body) {
+          if (!['MethodDefinition', 'TSAbstractMethodDefinition', 'PropertyDefinition'].includes(member.type) ||
+              Boolean(member.static) !== isStatic || getPropertyKeyName(member) !== memberName) {
+            continue;
+          }
+          if (member.type === 'PropertyDefinition') {
+            // A field without a value may still declare the function type it holds
+            if (member.value) return resolveStaticValue(member.value);
+            return member.typeAnnotation ? resolveDeclaredType(member.typeAnnotation.typeAnnotation) : null;
+          }
+          if (member.kind !== 'method') continue;
+          
+          // TypeScript overload and abstract method signatures have no body
+          if (isFunction(member.value)) return member.value;
+          signature = signature || member.value;
+        }
+        if (signature) return signature;
+        
+        const superClass = resolveClass(classNode.superClass);
+        return superClass ? findClassMember(superClass, memberName, isStatic, seen) : null;
       }
       
-      function hasMutTypeAnnotation(node) {
-        // Check if a variable declaration has Mut<T> type annotation
-        if (!node.id || !node.id.typeAnnotation) return false;
+      function findConstructor(classNode, seen = new Set()) {
+        // Classes without a constructor pass their arguments on to the parent constructor
+        if (seen.has(classNode)) return null;
+        seen.add(classNode);
         
-        const typeAnnotation = node.id.typeAnnotation.typeAnnotation;
+        const constructor = classNode.body.body.find(member => 
+          member.type === 'MethodDefinition' && member.kind === 'constructor' && isFunction(member.value)
+        );
+        if (constructor) return constructor.value;
         
-        // Check for TypeReference with type name 'Mut'
-        if (typeAnnotation.type === 'TSTypeReference' && 
-            typeAnnotation.typeName && 
-            typeAnnotation.typeName.type === 'Identifier' &&
-            typeAnnotation.typeName.name === 'Mut') {
-          return true;
+        const superClass = resolveClass(classNode.superClass);
+        return superClass ? findConstructor(superClass, seen) : null;
+      }
+      
+      function getThisContext(node) {
+        // The class (or object literal) that `this` and `super` refer to at a given node
+        for (let current = node.parent; current; current = current.parent) {
+          if (current.type === 'PropertyDefinition' || current.type === 'StaticBlock') {
+            return { classNode: current.parent.parent, isStatic: current.type === 'StaticBlock' || current.static };
+          }
+          if (!isFunction(current) || current.type === 'ArrowFunctionExpression') continue;
+          
+          const parent = current.parent;
+          if (parent.type === 'MethodDefinition') {
+            return { classNode: parent.parent.parent, isStatic: parent.static };
+          }
+          if (parent.type === 'Property' && parent.value === current && parent.parent.type === 'ObjectExpression') {
+            return { objectNode: parent.parent };
+          }
+          return null;
         }
+        return null;
+      }
+      
+      function resolveMethod(member) {
+        // Methods called on `this`, `super`, a class or an instance created in the file
+        // (`this.merge(x)`, `super.merge(x)`, `Store.create(x)`, `store.merge(x)`)
+        const memberName = getMemberName(member);
+        if (memberName === null) return null;
         
-        return false;
+        const object = unwrapExpression(member.object);
+        if (object.type === 'ThisExpression' || object.type === 'Super') {
+          const thisContext = getThisContext(member);
+          if (!thisContext) return null;
+          if (thisContext.objectNode) {
+            return object.type === 'ThisExpression' 
+              ? resolveStaticValue(getObjectPropertyValue(thisContext.objectNode, memberName)) 
+              : null;
+          }
+          
+          const classNode = object.type === 'Super' 
+            ? resolveClass(thisContext.classNode.superClass) 
+            : thisContext.classNode;
+          return classNode ? findClassMember(classNode, memberName, thisContext.isStatic) : null;
+        }
+        
+        const value = resolveStaticValue(object);
+        if (isClass(value)) {
+          return findClassMember(value, memberName, true);
+        }
+        if (value && value.type === 'NewExpression') {
+          const classNode = resolveClass(value.callee);
+          return classNode ? findClassMember(classNode, memberName, false) : null;
+        }
+        return null;
       }
       
-      function isValidMutableParam(param) {
-        if (isTypeScript) {
-          return hasMutType(param);
-        } else {
-          return hasMutPrefix(param.name);
+      function resolveCallable(expression, seen = new Set()) {
+        // The function an expression evaluates to, together with the arguments
+        // bound to it by `f.bind(ctx, a)`, if it is known
+        const value = unwrapExpression(expression);
+        if (seen.has(value)) return null;
+        seen.add(value);
+        
+        let definition = (value.type === 'MemberExpression' && resolveMethod(value)) || resolveStaticValue(value);
+        if (isModuleNamespace(definition)) {
+          // `const fill = require('./fill')` calls the function assigned to `module.exports`
+          definition = getModuleExport(definition, 'default');
+        }
+        if (isCallable(definition)) {
+          return { definition, boundArguments: { expressions: [], isComplete: true } };
+        }
+        
+        const bindCallee = definition && definition.type === 'CallExpression' ? unwrapExpression(definition.callee) : null;
+        if (bindCallee && bindCallee.type === 'MemberExpression' && getPropertyName(bindCallee) === 'bind') {
+          const target = resolveCallable(bindCallee.object, seen);
+          return target && {
+            definition: target.definition,
+            boundArguments: concatArguments(target.boundArguments, expandArguments(definition.arguments.slice(1)))
+          };
         }
+        return null;
       }
       
-      function hasValidMutableMarker(argument) {
-        if (isTypeScript) {
-          // In TypeScript, check if the variable has Mut<T> type annotation or mut prefix
-          return mutTypeVariables.has(argument.name) || hasMutPrefix(argument.name);
-        } else {
-          // In JavaScript, require mut prefix
-          return hasMutPrefix(argument.name);
+      function concatArguments(first, second) {
+        return first.isComplete 
+          ? { expressions: first.expressions.concat(second.expressions), isComplete: second.isComplete } 
+          : first;
+      }
+      
+      function expandArguments(args) {
+        // The expressions passed at each argument position (`null` for array holes).
+        // A spread of unknown length ends the known positions.
+        let result = { expressions: [], isComplete: true };
+        for (const argument of args) {
+          const passed = argument && argument.type === 'SpreadElement'
+            ? getArrayElements(argument.argument)
+            : { expressions: [argument], isComplete: true };
+          result = concatArguments(result, passed);
+          if (!result.isComplete) break;
         }
+        return result;
       }
       
-      function getErrorMessage(paramName, functionName = null) {
-        if (ruleType === 'param') {
-          if (isTypeScript) {
-            return `Parameter '${paramName}' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.`;
-          } else {
-            return `Parameter '${paramName}' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mut${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}'.`;
+      function getArrayElements(expression) {
+        // Elements of an array literal, as passed by `f.apply(ctx, [a, b])` or `f(...[a, b])`
+        const value = expression && expression.type !== 'SpreadElement' ? unwrapExpression(expression) : null;
+        if (!value || value.type !== 'ArrayExpression') {
+          return { expressions: [], isComplete: false };
+        }
+        return expandArguments(value.elements);
+      }
+      
+      function collectArgumentExpressions(args, expressions) {
+        // Every expression that may end up as an argument of the called function,
+        // including the elements of spread and `apply` array literals and the values
+        // of object literals matched by destructured parameters
+        args.forEach(argument => {
+          if (!argument) return;
+          if (argument.type === 'SpreadElement') {
+            collectArgumentExpressions([argument.argument], expressions);
+            return;
+          }
+          expressions.push(argument);
+          const value = unwrapExpression(argument);
+          if (value.type === 'ArrayExpression') {
+            collectArgumentExpressions(value.elements, expressions);
+          } else if (value.type === 'ObjectExpression') {
+            collectArgumentExpressions(value.properties.map(property => property.value), expressions);
+          }
+        });
+        return expressions;
+      }
+      
+      function getCallSite(node) {
+        // The function definition a call or `new` expression invokes, and the expressions
+        // it passes to each parameter position. Only meaningful once the whole file has
+        // been traversed.
+        if (!resolvedCalls.has(node)) {
+          resolvedCalls.set(node, findCallSite(node));
+        }
+        return resolvedCalls.get(node);
+      }
+      
+      function findCallSite(node) {
+        const callee = unwrapExpression(node.callee);
+        
+        if (node.type === 'NewExpression') {
+          const value = resolveStaticValue(callee);
+          const definition = (isClass(value) ? findConstructor(value) : value) || getTypedDefinition(node);
+          return isCallable(definition)
+            ? { definition, functionName: getCalledName(callee), arguments: expandArguments(node.arguments) } 
+            : null;
+        }
+        
+        const target = resolveCallable(callee);
+        if (target) {
+          return {
+            definition: target.definition,
+            functionName: getCalledName(callee),
+            arguments: concatArguments(target.boundArguments, expandArguments(node.arguments))
+          };
+        }
+        
+        const methodName = callee.type === 'MemberExpression' ? getPropertyName(callee) : null;
+        
+        // `Reflect.apply(f, ctx, [a])`
+        if (methodName === 'apply' && isImplicitGlobal(unwrapExpression(callee.object), 'Reflect')) {
+          const invoked = node.arguments[0] && node.arguments[0].type !== 'SpreadElement' 
+            ? resolveCallable(node.arguments[0]) 
+            : null;
+          return invoked && {
+            definition: invoked.definition,
+            functionName: getCalledName(node.arguments[0]),
+            arguments: concatArguments(invoked.boundArguments, getArrayElements(node.arguments[2]))
+          };
+        }
+        
+        // `f.call(ctx, a)`, `f.apply(ctx, [a])` and `f.bind(ctx, a)` pass `a` to `f`
+        if (methodName === 'call' || methodName === 'apply' || methodName === 'bind') {
+          const invoked = resolveCallable(callee.object);
+          const passed = methodName === 'apply' 
+            ? getArrayElements(node.arguments[1]) 
+            : expandArguments(node.arguments.slice(1));
+          return invoked && {
+            definition: invoked.definition,
+            functionName: getCalledName(callee.object),
+            arguments: concatArguments(invoked.boundArguments, passed)
+          };
+        }
+        
+        const definition = getTypedDefinition(node);
+        return definition && { definition, functionName: getCalledName(callee), arguments: expandArguments(node.arguments) };
+      }
+      
+      function collectPathArguments(expression, path, results) {
+        // Follow a destructuring path into object and array literal arguments
+        // (`save({ doc, index })` passes `index` to `{ mutIndex }`). Other arguments
+        // are mutated as a whole; a literal reached as a whole is a fresh object.
+        const value = unwrapExpression(expression);
+        if (path.length === 0) {
+          if (value.type !== 'ObjectExpression' && value.type !== 'ArrayExpression') {
+            results.add(expression);
           }
+          return;
+        }
+        
+        let next;
+        if (value.type === 'ObjectExpression') {
+          next = typeof path[0] === 'string' ? getObjectPropertyValue(value, path[0]) : null;
+        } else if (value.type === 'ArrayExpression') {
+          next = typeof path[0] === 'number' ? expandArguments(value.elements).expressions[path[0]] : null;
         } else {
-          if (isTypeScript) {
-            return `Argument '${paramName}' is passed to function '${functionName}' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mut${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}'.`;
-          } else {
-            return `Argument '${paramName}' is passed to function '${functionName}' which mutates this parameter. Consider renaming to 'mut${paramName.charAt(0).toUpperCase()}${paramName.slice(1)}'.`;
+          results.add(expression);
+          return;
+        }
+        if (next) {
+          collectPathArguments(next, path.slice(1), results);
+        }
+      }
+      
+      function getMutatedArguments(site) {
+        // Expressions of a call site that reach a mutated parameter binding of the called
+        // function. Arguments past the last parameter are collected by a rest parameter.
+        const mutatingParams = getMutatingParams(site.definition);
+        const results = new Set();
+        if (!mutatingParams) return results;
+        
+        site.arguments.expressions.forEach((expression, position) => {
+          const paths = position >= mutatingParams.restIndex
+            ? (mutatingParams.paramPaths.has(mutatingParams.restIndex) ? [[]] : [])
+            : mutatingParams.paramPaths.get(position) || [];
+          if (expression) {
+            paths.forEach(path => collectPathArguments(expression, path, results));
+          }
+        });
+        return results;
+      }
+      
+      function isElementMutatedArgument(site, argument) {
+        // Whether an argument is passed to a parameter mutated through its elements or
+        // members (`mutList[0].done = true`), which shallow copies of the caller's value share
+        const mutatingParams = getMutatingParams(site.definition);
+        const position = site.arguments.expressions.indexOf(argument);
+        return Boolean(mutatingParams && mutatingParams.elementParams) && position !== -1 &&
+               position < mutatingParams.restIndex && mutatingParams.elementParams.has(position);
+      }
+      
+      function isMutatedPosition(definition, position) {
+        const mutatingParams = getMutatingParams(definition);
+        return Boolean(mutatingParams) && mutatingParams.paramPaths.has(Math.min(position, mutatingParams.restIndex));
+      }
+      
+      function getElementCallbackSources(node) {
+        // Collections whose elements are handed to a known mutating function passed as
+        // a callback: iteration methods (`items.forEach(markDone)`) and the configured
+        // `elementCallbacks` (`each(items, markDone)`)
+        if (node.type !== 'CallExpression') return [];
+        
+        const callee = unwrapExpression(node.callee);
+        const calledName = getCalledName(callee);
+        const entries = elementCallbacks.filter(entry => entry.name === calledName);
+        if (callee.type === 'MemberExpression' && 
+            Object.prototype.hasOwnProperty.call(ITERATION_CALLBACKS, calledName)) {
+          entries.push({ argument: 0, param: ITERATION_CALLBACKS[calledName] });
+        }
+        
+        const sources = [];
+        entries.forEach(entry => {
+          const callback = node.arguments[entry.argument];
+          const source = entry.source === undefined 
+            ? (callee.type === 'MemberExpression' ? callee.object : null) 
+            : node.arguments[entry.source];
+          if (!callback || callback.type === 'SpreadElement' || !source || source.type === 'SpreadElement') return;
+          
+          // Inline callbacks are checked as functions of their own
+          const value = unwrapExpression(callback);
+          if (isFunction(value)) return;
+          
+          // `items.forEach(update.bind(null, ctx))` passes each element after the bound arguments
+          const callable = resolveCallable(value);
+          const bindCallee = value.type === 'CallExpression' ? unwrapExpression(value.callee) : null;
+          const functionName = getCalledName(bindCallee && bindCallee.type === 'MemberExpression' ? bindCallee.object : value);
+          if (callable && callable.boundArguments.isComplete && functionName &&
+              isMutatedPosition(callable.definition, callable.boundArguments.expressions.length + entry.param)) {
+            sources.push({ source, functionName });
+          }
+        });
+        return sources;
+      }
+      
+      function isThisRooted(expression) {
+        let current = unwrapExpression(expression);
+        while (current.type === 'MemberExpression') {
+          current = unwrapExpression(current.object);
+        }
+        return current.type === 'ThisExpression';
+      }
+      
+      function getThisOwner(node) {
+        // The function whose `this` is used at a node: the closest non-arrow function,
+        // or an arrow function stored in a class field
+        for (let current = node.parent; current; current = current.parent) {
+          if (current.type === 'ArrowFunctionExpression') {
+            if (current.parent.type === 'PropertyDefinition') return current;
+          } else if (isFunction(current)) {
+            return current;
           }
         }
+        return null;
+      }
+      
+      function findReceiverMutation(call) {
+        // Name of a method mutating `this` called on a receiver (`cart.addItem(item)`).
+        // Only receivers whose class is known are checked: `this`, `super`, instances
+        // created with `new`, declared class types and types from the type checker.
+        const callee = unwrapExpression(call.callee);
+        if (call.type !== 'CallExpression' || callee.type !== 'MemberExpression') return null;
+        
+        const callable = resolveCallable(callee);
+        return callable && !isSignature(callable.definition) && thisMutatingFunctions.has(callable.definition)
+          ? getMemberName(callee)
+          : null;
+      }
+      
+      function findArgumentMutation(call, argument) {
+        // Name of the function that mutates an expression passed to a call, either as a
+        // parameter (`save(doc)`), as the receiver of a method mutating `this`
+        // (`cart.addItem(item)`) or through a callback receiving its elements (`docs.forEach(save)`)
+        const site = getCallSite(call);
+        if (site && getMutatedArguments(site).has(argument)) {
+          return site.functionName;
+        }
+        if (argument === unwrapExpression(call.callee).object && findReceiverMutation(call)) {
+          return findReceiverMutation(call);
+        }
+        const callbackSource = getElementCallbackSources(call).find(({ source }) => source === argument);
+        return callbackSource ? callbackSource.functionName : null;
       }
       
       function checkCrossFunctionMutation(node) {
         // Store function calls for later analysis (only for variable rule)
-        if (ruleType === 'var' && node.type === 'CallExpression') {
-          let functionName = null;
-          
-          // Handle different types of function calls
-          if (node.callee.type === 'Identifier') {
-            functionName = node.callee.name;
-          } else if (node.callee.type === 'MemberExpression' && 
-                     node.callee.property.type === 'Identifier') {
-            functionName = node.callee.property.name;
-          }
-          
-          if (functionName) {
-            functionCalls.push({
-              node,
-              functionName,
-              arguments: node.arguments
+        if (ruleType === 'var' && (node.type === 'CallExpression' || node.type === 'NewExpression')) {
+          functionCalls.push({ node });
+        }
+      }
+      
+      function trackForwardedArguments(node) {
+        // Remember parameters passed on to other functions (`addDefaults(opts)`): once the
+        // whole file is known, passing one into a mutating position counts as a mutation
+        if (node.type !== 'CallExpression' && node.type !== 'NewExpression') return;
+        
+        const argumentExpressions = collectArgumentExpressions(node.arguments, []);
+        const callee = unwrapExpression(node.callee);
+        if (callee.type === 'MemberExpression') {
+          // The receiver of `items.forEach(markDone)` or `cart.addItem(item)`
+          argumentExpressions.push(callee.object);
+        }
+        
+        // `this` passed on to a mutating function or method (`this.reset()`, `clear(this.items)`)
+        const thisOwner = getThisOwner(node);
+        if (thisOwner) {
+          argumentExpressions.filter(isThisRooted).forEach(argument => {
+            thisForwardedArguments.push({ call: node, argument, owner: thisOwner });
+          });
+        }
+        for (const { node: currentFunction, isArgumentsOwner } of getContainingFunctions(node)) {
+          const scope = functionScopes.get(currentFunction);
+          if (!scope) continue;
+          
+          argumentExpressions.forEach(argument => {
+            const throughElements = unwrapExpression(argument).type === 'MemberExpression';
+            getObjectSources(argument).forEach(root => {
+              getMutatedParams(root, scope, isArgumentsOwner, throughElements).forEach(paramVariable => {
+                scope.forwardedArguments.push({
+                  call: node,
+                  argument,
+                  paramVariable,
+                  path: getMutatedPath(unwrapExpression(argument))
+                });
+              });
             });
-          }
+          });
+          
+          // Shallow copies (`touch([...items])`, `touch(items.slice())`) still share their elements
+          node.arguments.forEach(argument => {
+            const copySources = argument.type === 'SpreadElement' ? null : getShallowCopySources(argument);
+            (copySources || []).forEach(root => {
+              getMutatedParams(root, scope, isArgumentsOwner, true).forEach(paramVariable => {
+                scope.forwardedArguments.push({ call: node, argument, paramVariable, path: null, isCopy: true });
+              });
+            });
+          });
+        }
+      }
+      
+      function propagateForwardedMutations() {
+        // Passing a parameter into a mutating argument position mutates it too. Repeat
+        // until nothing changes, so call chains and mutual recursion are followed.
+        let changed = true;
+        while (changed) {
+          changed = false;
+          
+          completedFunctions.forEach(scope => {
+            const paramPaths = new Map();
+            scope.mutatedParams.forEach((mutation, paramVariable) => {
+              const { paramIndex, path } = scope.params.get(paramVariable);
+              paramPaths.set(paramIndex, (paramPaths.get(paramIndex) || []).concat([path]));
+            });
+            const elementParams = new Set();
+            scope.elementMutatedParams.forEach(paramVariable => {
+              const { paramIndex, path } = scope.params.get(paramVariable);
+              if (path.length === 0) elementParams.add(paramIndex);
+            });
+            functionsWithMutatingParams.set(scope.node, { paramPaths, restIndex: scope.restIndex, elementParams });
+          });
+          
+          thisForwardedArguments.forEach(({ call, argument, owner }) => {
+            if (!thisMutatingFunctions.has(owner) && findArgumentMutation(call, argument)) {
+              thisMutatingFunctions.add(owner);
+              changed = true;
+            }
+          });
+          
+          completedFunctions.forEach(scope => {
+            scope.forwardedArguments.forEach(({ call, argument, paramVariable, path, isCopy }) => {
+              const isMutated = scope.mutatedParams.has(paramVariable);
+              if (isMutated && scope.elementMutatedParams.has(paramVariable)) return;
+              
+              const site = getCallSite(call);
+              const isElementMutated = Boolean(site) && isElementMutatedArgument(site, argument);
+              const functionName = isCopy 
+                ? (isElementMutated ? site.functionName : null) 
+                : findArgumentMutation(call, argument);
+              if (!functionName) return;
+              
+              if (!isMutated) {
+                scope.mutatedParams.set(paramVariable, { path, callee: functionName });
+                changed = true;
+              }
+              if ((isCopy || isElementMutated || path !== null) && !scope.elementMutatedParams.has(paramVariable)) {
+                scope.elementMutatedParams.add(paramVariable);
+                changed = true;
+              }
+            });
+          });
         }
       }
 
       const visitors = {
-        // Detect variable declarations with Mut<T> type annotation (for variable rule)
+        // Code path analysis, used to find parameters rebound to fresh values
+        onCodePathStart(codePath, node) {
+          codePathStack.push({ node, segments: new Set() });
+        },
+        onCodePathEnd() {
+          codePathStack.pop();
+        },
+        onCodePathSegmentStart: startCodePathSegment,
+        onCodePathSegmentEnd: endCodePathSegment,
+        onUnreachableCodePathSegmentStart: startCodePathSegment,
+        onUnreachableCodePathSegmentEnd: endCodePathSegment,
+        
+        // A parameter rebound to a fresh value (`items = [...items]`) no longer refers to the caller's object
+        'AssignmentExpression:exit'(node) {
+          if (node.operator === '=' && node.left.type === 'Identifier') {
+            trackParamRebinding(node.left, node.right);
+          }
+          if (node.operator === '=') {
+            trackPropertyAssignment(node);
+          }
+        },
+        'VariableDeclarator:exit'(node) {
+          // `var items = [...items]` redeclares the parameter binding
+          if (node.init && node.id.type === 'Identifier') {
+            trackParamRebinding(node.id, node.init);
+          }
+        },
+        
+        'ForOfStatement > .left'(node) {
+          // Track loop variables iterating the elements of a parameter (`for (const u of users)`),
+          // assigned at the start of each iteration
+          const loop = node.parent;
+          const target = node.type === 'VariableDeclaration' ? node.declarations[0].id : node;
+          trackAliases(loop, target, getElementSources(loop.right).map(root => ({ root, kind: 'member' })), true);
+        },
+        
         'VariableDeclarator'(node) {
-          if (ruleType === 'var' && isTypeScript && hasMutTypeAnnotation(node)) {
-            // Add variable to set of variables with Mut<T> type
-            if (node.id.type === 'Identifier') {
-              mutTypeVariables.add(node.id.name);
-            }
+          // Track local aliases of parameters (`const list = items`, `const { meta } = config`)
+          if (node.init) {
+            trackAliases(node, node.id, getAliasSources(node.init), true);
           }
         },
 
         // Detect when entering a function
         'FunctionDeclaration, FunctionExpression, ArrowFunctionExpression'(node) {
           const params = new Map();
-          const mutatedParams = new Set();
-          
-          // Collect parameters
-          node.params.forEach((param) => {
-            if (param.type === 'Identifier') {
-              params.set(param.name, {
-                node: param,
-                isValidMutable: ruleType === 'param' ? isValidMutableParam(param) : false
+          const mutatedParams = new Map();
+          const argumentBindings = new Map();
+          let restIndex = Infinity;
+          
+          // Collect parameters, including bindings introduced by destructuring,
+          // default values and rest elements, keyed by the variable they declare
+          const functionScope = sourceCode.scopeManager.acquire(node, true);
+          const getParamVariable = identifier => functionScope && functionScope.set.get(identifier.name);
+          node.params.forEach((param, index) => {
+            const bindings = [];
+            collectParamBindings(param, index, false, bindings);
+            bindings.forEach(binding => {
+              const variable = getParamVariable(binding.node);
+              if (!variable) return;
+              params.set(variable, {
+                node: binding.node,
+                name: binding.node.name,
+                paramIndex: binding.paramIndex,
+                path: binding.path,
+                isValidMutable: ruleType === 'param' ? binding.isValidMutable : false
               });
+            });
+            
+            const argumentsBinding = getArgumentsBinding(param);
+            if (argumentsBinding && getParamVariable(argumentsBinding)) {
+              argumentBindings.set(index, getParamVariable(argumentsBinding));
             }
+            if (param.type === 'RestElement') {
+              restIndex = index;
+            }
+          });
+          
+          // The element parameter of an iteration callback over a parameter
+          // (`users.forEach(u => ...)`) is a view into that parameter: mutations
+          // through it are attributed to the iterated parameter instead
+          const iteration = getIterationCallbackSources(node);
+          const elementParam = iteration && node.params[iteration.paramIndex];
+          if (elementParam) {
+            const elementBindings = [];
+            collectAliasTargets(elementParam, elementBindings);
+            
+            const isView = getContainingFunctions(node).some(({ node: currentFunction, isArgumentsOwner }) => {
+              const scope = functionScopes.get(currentFunction);
+              return scope && iteration.roots.some(root => getMutatedParams(root, scope, isArgumentsOwner, true).length > 0);
+            });
+            
+            if (isView) {
+              trackAliases(node, elementParam, iteration.roots.map(root => ({ root, kind: 'member' })), true);
+              elementBindings.forEach(binding => params.delete(getParamVariable(binding)));
+              argumentBindings.delete(iteration.paramIndex);
+            }
+          }
+          
+          // Owned callback parameters can be mutated freely
+          getOwnedParamIndices(node).forEach(paramIndex => {
+            params.forEach((paramInfo, variable) => {
+              if (paramInfo.paramIndex === paramIndex) {
+                params.delete(variable);
+              }
+            });
+            argumentBindings.delete(paramIndex);
           });
           
-          functionScopes.set(node, { params, mutatedParams });
+          functionScopes.set(node, {
+            node,
+            params,
+            mutatedParams,
+            elementMutatedParams: new Set(),
+            argumentBindings,
+            restIndex,
+            aliases: new Map(),
+            elementAliases: new Map(),
+            memberAliases: new Map(),
+            forwardedArguments: []
+          });
         },
         
         // Detect mutations and function calls
-        'AssignmentExpression, UpdateExpression, CallExpression'(node) {
+        'AssignmentExpression, UpdateExpression, UnaryExpression, CallExpression, NewExpression, ForInStatement, ForOfStatement'(node) {
           // Store function calls for later analysis (variable rule)
           checkCrossFunctionMutation(node);
+          trackForwardedArguments(node);
           
-          // Find all containing functions (to handle nested functions)
-          const containingFunctions = [];
-          let parent = node.parent;
+          // Track aliases created by assignment (`list = items`, `list ??= items`)
+          if (node.type === 'AssignmentExpression' && 
+              (node.operator === '=' || ['||=', '&&=', '??='].includes(node.operator))) {
+            trackAliases(node, node.left, getAliasSources(node.right), node.operator === '=');
+          }
           
-          while (parent) {
-            if (parent.type === 'FunctionDeclaration' || 
-                parent.type === 'FunctionExpression' || 
-                parent.type === 'ArrowFunctionExpression') {
-              containingFunctions.push(parent);
-            }
-            parent = parent.parent;
+          if (!isMutatingOperation(node)) {
+            return;
           }
           
-          if (containingFunctions.length === 0) {
+          const mutatedObjects = getMutatedObjects(node);
+          if (mutatedObjects.length === 0) {
             return;
           }
           
-          // Check mutation in all containing functions
-          for (const currentFunction of containingFunctions) {
+          // Remember functions that mutate `this` (`this.items.push(x)`), so that calling
+          // them as methods mutates the receiver
+          const thisOwner = getThisOwner(node);
+          if (thisOwner && mutatedObjects.some(isThisRooted)) {
+            thisMutatingFunctions.add(thisOwner);
+          }
+          
+          // Check mutation in all containing functions (to handle nested functions)
+          for (const { node: currentFunction, isArgumentsOwner } of getContainingFunctions(node)) {
             if (!functionScopes.has(currentFunction)) {
               continue;
             }
             
             const scope = functionScopes.get(currentFunction);
-            const paramNames = new Set(scope.params.keys());
-            
-            if (isMutatingOperation(node) && isParameterMutation(node, paramNames)) {
-              let mutatedParamName = null;
-              
-              if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
-                mutatedParamName = getRootObjectName(node.left) || node.left.object.name;
-              } else if (node.type === 'UpdateExpression' && node.argument.type === 'MemberExpression') {
-                mutatedParamName = getRootObjectName(node.argument) || node.argument.object.name;
-              } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
-                mutatedParamName = node.callee.object.name;
-              }
-              
-              if (mutatedParamName && scope.params.has(mutatedParamName)) {
-                scope.mutatedParams.add(mutatedParamName);
-              }
-            }
+            mutatedObjects.forEach(mutatedObject => {
+              const throughElements = mutatedObject.type === 'MemberExpression';
+              getObjectSources(mutatedObject).forEach(root => {
+                const memberAliases = root.type === 'Identifier' ? scope.memberAliases.get(resolveVariable(root)) : null;
+                getMutatedParams(root, scope, isArgumentsOwner, throughElements).forEach(paramVariable => {
+                  // Keep the path of the first mutation found for each parameter
+                  if (!scope.mutatedParams.has(paramVariable)) {
+                    scope.mutatedParams.set(paramVariable, { path: getMutatedPath(mutatedObject), callee: null });
+                  }
+                  if (throughElements || (memberAliases && memberAliases.has(paramVariable))) {
+                    scope.elementMutatedParams.add(paramVariable);
+                  }
+                });
+              });
+            });
           }
         },
         
-        // When exiting a function, check for violations and update cross-function analysis
+        // Mutations through forwarded parameters are only known once the whole file has been seen
         'FunctionDeclaration, FunctionExpression, ArrowFunctionExpression:exit'(node) {
           const scope = functionScopes.get(node);
           if (!scope) return;
           
+          completedFunctions.push(scope);
+          functionScopes.delete(node);
+        },
+        
+        'Program:exit'() {
+          propagateForwardedMutations();
+          
+          // Signatures requested by modules importing this one (see `lib/module-signatures.js`)
+          if (onModuleSignatures) {
+            onModuleSignatures(collectModuleSignatures());
+          }
+          
           // Parameter rule: check if there are mutated parameters without proper prefix/type
           if (ruleType === 'param') {
-            scope.mutatedParams.forEach(paramName => {
-              const paramInfo = scope.params.get(paramName);
-              if (!paramInfo.isValidMutable) {
-                context.report({
-                  node: paramInfo.node,
-                  message: getErrorMessage(paramName)
-                });
-              }
+            completedFunctions.forEach(scope => {
+              scope.mutatedParams.forEach(({ path, callee }, paramVariable) => {
+                const paramInfo = scope.params.get(paramVariable);
+                if (!paramInfo.isValidMutable) {
+                  context.report({
+                    node: paramInfo.node,
+                    message: getErrorMessage(paramInfo.name, callee, path)
+                  });
+                }
+              });
             });
+            return;
           }
           
-          // Variable rule: update cross-function analysis data with actual mutations
-          if (ruleType === 'var' && scope.mutatedParams.size > 0) {
-            let functionName = null;
+          // Variable rule: check all function calls
+          for (const call of functionCalls) {
+            // Collections whose elements are mutated by a callback (`items.forEach(markDone)`)
+            getElementCallbackSources(call.node).forEach(({ source, functionName }) => {
+              reportMutatedArgument(source, functionName, 'elements');
+            });
             
-            if (node.type === 'FunctionDeclaration' && node.id) {
-              functionName = node.id.name;
-            } else if (node.type === 'FunctionExpression' && node.id) {
-              functionName = node.id.name;
-            } else if (node.type === 'ArrowFunctionExpression') {
-              // For arrow functions, check if they are assigned to a variable
-              let parent = node.parent;
-              
-              if (parent && parent.type === 'VariableDeclarator' && 
-                  parent.id && parent.id.type === 'Identifier') {
-                functionName = parent.id.name;
-              }
+            // Receivers of methods that mutate `this` (`cart.addItem(item)`)
+            const receiverMutation = findReceiverMutation(call.node);
+            if (receiverMutation) {
+              reportMutatedArgument(unwrapExpression(call.node.callee).object, receiverMutation, 'receiver');
             }
             
-            if (functionName) {
-              const mutatingParamIndices = [];
-              node.params.forEach((param, index) => {
-                if (param.type === 'Identifier' && scope.mutatedParams.has(param.name)) {
-                  mutatingParamIndices.push(index);
-                }
-              });
-              
-              if (mutatingParamIndices.length > 0) {
-                functionsWithMutatingParams.set(functionName, mutatingParamIndices);
+            const site = getCallSite(call.node);
+            if (!site || !site.functionName) continue;
+            
+            // Check each argument at positions where the function expects mut parameters.
+            // Arguments bound earlier with `f.bind(ctx, a)` are checked at the `bind` call.
+            getMutatedArguments(site).forEach(argument => {
+              if (argument.range[0] >= call.node.range[0] && argument.range[1] <= call.node.range[1]) {
+                reportMutatedArgument(argument, site.functionName, 'argument');
               }
-            }
+            });
+            
+            // Shallow copies passed where elements are mutated (`touch([...items])`)
+            call.node.arguments.forEach(argument => {
+              if (argument.type === 'SpreadElement' || !isElementMutatedArgument(site, argument)) return;
+              (getShallowCopySources(argument) || []).forEach(root => {
+                reportMutatedArgument(root, site.functionName, 'elements');
+              });
+            });
           }
-          
-          // Clean up the scope
-          functionScopes.delete(node);
         }
       };
 
-      // Variable rule: add Program:exit for cross-function analysis
-      if (ruleType === 'var') {
-        visitors['Program:exit'] = function() {
-          // Now check all function calls
-          for (const call of functionCalls) {
-            if (functionsWithMutatingParams.has(call.functionName)) {
-              const mutParamIndices = functionsWithMutatingParams.get(call.functionName);
-              
-              // Check each argument at positions where the function expects mut parameters
-              mutParamIndices.forEach(paramIndex => {
-                if (paramIndex < call.arguments.length) {
-                  const argument = call.arguments[paramIndex];
-                  
-                  // Check if argument is a simple identifier
-                  if (argument.type === 'Identifier') {
-                    if (!hasValidMutableMarker(argument)) {
-                      context.report({
-                        node: argument,
-                        message: getErrorMessage(argument.name, call.functionName)
-                      });
-                    }
-                  }
-                }
-              });
-            }
-          }
-        };
-      }
-
       return visitors;
     }
   };
@@ -0,0 +1,7 @@
+export const fill = (list, value) => {
+  list.push(value);
+};
+
+export function first(list) {
+  return list[0];
+}
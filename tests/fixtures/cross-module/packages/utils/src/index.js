@@ -0,0 +1,2 @@
+export * from './array';
+export { prepare as prepareOptions } from '../../../src/prepare';
@@ -0,0 +1,11 @@
+export function applyDefaults(options) {
+  options.retries = options.retries || 3;
+}
+
+export function readTimeout(options) {
+  return options.timeout;
+}
+
+export default function normalize(options) {
+  delete options.legacy;
+}
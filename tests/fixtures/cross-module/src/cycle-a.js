@@ -0,0 +1,10 @@
+import { clearB } from './cycle-b';
+
+export function clearA(list) {
+  list.length = 0;
+}
+
+export function clearBoth(first, second) {
+  clearA(first);
+  clearB(second);
+}
@@ -0,0 +1,5 @@
+import { clearA } from './cycle-a';
+
+export function clearB(list) {
+  clearA(list);
+}
@@ -0,0 +1,3 @@
+module.exports = function increment(counter) {
+  counter.value++;
+};
@@ -0,0 +1,6 @@
+function reset(state) {
+  state.count = 0;
+}
+
+exports.reset = reset;
+exports.read = state => state.count;
@@ -0,0 +1,5 @@
+import { applyDefaults } from './config';
+
+export function prepare(options) {
+  applyDefaults(options);
+}
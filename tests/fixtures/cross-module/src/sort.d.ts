@@ -0,0 +1,2 @@
+export declare function sortInPlace(list: Mut<number[]>): void;
+export declare function sorted(list: readonly number[]): number[];
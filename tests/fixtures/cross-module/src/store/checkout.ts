@@ -0,0 +1,5 @@
+import { addItem } from './index';
+
+export function checkout(cart: { items: string[] }, extra: string): void {
+  addItem(cart, extra);
+}
@@ -0,0 +1,3 @@
+export function addItem(cart: { items: string[] }, item: string): void {
+  cart.items.push(item);
+}
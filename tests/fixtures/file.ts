@@ -0,0 +1,2 @@
+// Placeholder source file for tests that need TypeScript type information.
+// RuleTester replaces its contents with the code of each test case.
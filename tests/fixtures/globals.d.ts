@@ -0,0 +1,6 @@
+// Ambient declarations available to tests that need TypeScript type information
+type Mut<T extends object> = T;
+type MutList<T> = Mut<T[]>;
+
+declare function sortInPlace(list: MutList<number>): void;
+declare function sum(list: readonly number[]): number;
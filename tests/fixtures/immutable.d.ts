@@ -0,0 +1,7 @@
+// Declarations of a library whose types share names with built-in collections
+declare namespace Immutable {
+  class Map<K, V> {
+    set(key: K, value: V): Map<K, V>;
+    delete(key: K): Map<K, V>;
+  }
+}
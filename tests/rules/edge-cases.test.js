@@ -46,6 +46,65 @@ ruleTester.run('require-mut-param edge cases', paramRule, {
       options: []
     },
 
+    {
+      code: `
+        function lookup(cache, params, date) {
+          return [cache.get('key'), cache.has('key'), params.getAll('q'), date.getHours()];
+        }
+      `,
+      options: []
+    },
+
+    // ✅ Built-in collection mutators with mut prefix
+    {
+      code: `
+        function remember(mutCache, mutSeen, key) {
+          mutCache.set(key, true);
+          mutSeen.add(key);
+        }
+      `,
+      options: []
+    },
+
+    // ✅ Reduce accumulators seeded with fresh values are owned by the callback
+    {
+      code: `
+        function group(items) {
+          const list = items.reduce((acc, x) => { acc.push(x); return acc; }, []);
+          const byId = items.reduce((acc, x) => { acc[x.id] = x; return acc; }, {});
+          const index = items.reduceRight((acc, x) => { acc.set(x.id, x); return acc; }, new Map());
+          return [list, byId, index];
+        }
+      `,
+      options: []
+    },
+
+    // ✅ Promise executor functions
+    {
+      code: `
+        function wait(ms) {
+          return new Promise((resolve, reject) => {
+            resolve.pending = true;
+            setTimeout(resolve, ms);
+            reject.pending = true;
+          });
+        }
+      `,
+      options: []
+    },
+
+    // ✅ Additional owned callback parameters from options
+    {
+      code: `
+        function rename(state, name) {
+          return produce(state, draft => {
+            draft.name = name;
+          });
+        }
+      `,
+      options: [{ ownedCallbackParams: [{ name: 'produce', argument: 1, params: [0] }] }]
+    },
+
     // ✅ Nested properties with mut prefix
     {
       code: `
@@ -265,6 +324,136 @@ ruleTester.run('require-mut-param edge cases', paramRule, {
       }]
     },
 
+    // ❌ Built-in collection and host-object mutators
+    {
+      code: `
+        function remember(cache, key, value) {
+          cache.set(key, value);
+        }
+      `,
+      errors: [{
+        message: "Parameter 'cache' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutCache'.",
+        type: 'Identifier'
+      }]
+    },
+    {
+      code: `
+        function track(seen, index, key) {
+          seen.add(key);
+          index.clear();
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'seen' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutSeen'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'index' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutIndex'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function shiftBuffer(buffer, source) {
+          buffer.copyWithin(0, 4);
+          buffer.set(source, 4);
+        }
+      `,
+      errors: [{
+        message: "Parameter 'buffer' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutBuffer'.",
+        type: 'Identifier'
+      }]
+    },
+    {
+      code: `
+        function startOfDay(date) {
+          date.setHours(0, 0, 0, 0);
+        }
+      `,
+      errors: [{
+        message: "Parameter 'date' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutDate'.",
+        type: 'Identifier'
+      }]
+    },
+    {
+      code: `
+        function addQuery(params, headers, form) {
+          params.append('q', '1');
+          headers.set('x-id', '1');
+          form.append('file', '1');
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'params' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutParams'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'headers' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutHeaders'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'form' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutForm'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function publish(shared, value) {
+          Atomics.store(shared, 0, value);
+        }
+      `,
+      errors: [{
+        message: "Parameter 'shared' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutShared'.",
+        type: 'Identifier'
+      }]
+    },
+
+    // ❌ Reduce accumulators seeded with values that other code can observe
+    {
+      code: `
+        function collect(items, seed) {
+          return items.reduce((acc, x) => { acc.push(x); return acc; }, seed);
+        }
+      `,
+      errors: [{
+        message: "Parameter 'acc' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutAcc'.",
+        type: 'Identifier'
+      }]
+    },
+
+    // ❌ Owned callback parameters require a matching option
+    {
+      code: `
+        function rename(state, name) {
+          return produce(state, draft => {
+            draft.name = name;
+          });
+        }
+      `,
+      errors: [{
+        message: "Parameter 'draft' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutDraft'.",
+        type: 'Identifier'
+      }]
+    },
+    {
+      code: `
+        function rename(state, name) {
+          return produce(state, draft => {
+            draft.name = name;
+          });
+        }
+      `,
+      options: [{ ownedCallbackParams: [{ name: 'produce', params: [0] }] }],
+      errors: [{
+        message: "Parameter 'draft' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutDraft'.",
+        type: 'Identifier'
+      }]
+    },
+
     // ❌ Multiple levels of nesting
     {
       code: `
@@ -277,7 +466,7 @@ ruleTester.run('require-mut-param edge cases', paramRule, {
         }
       `,
       errors: [{
-        message: "Parameter 'data' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutData'.",
+        message: "Parameter 'data' is mutated through 'data.nested.deep' but doesn't have 'mut' prefix. Consider renaming to 'mutData'.",
         type: 'Identifier'
       }]
     }
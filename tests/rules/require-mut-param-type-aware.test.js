@@ -0,0 +1,228 @@
+const path = require('path');
+const { RuleTester } = require('eslint');
+const createMutRule = require('../../rules/require-mut');
+const rule = createMutRule('param');
+
+const fixturesDir = path.join(__dirname, '../fixtures');
+const filename = path.join(fixturesDir, 'file.ts');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+  parserOptions: {
+    ecmaVersion: 2020,
+    sourceType: 'module',
+    project: './tsconfig.json',
+    tsconfigRootDir: fixturesDir,
+  },
+});
+
+ruleTester.run('require-mut-param (type-aware)', rule, {
+  valid: [
+    // ✅ User-defined methods that share a name with a built-in mutator
+    {
+      code: `
+        class Settings {
+          values: Record<string, string> = {};
+          set(key: string): string | undefined {
+            return this.values[key];
+          }
+        }
+        
+        function read(settings: Settings) {
+          return settings.set('theme');
+        }
+      `,
+      filename,
+    },
+    {
+      code: `
+        interface Registry {
+          add(name: string): boolean;
+        }
+        
+        function check(registry: Registry) {
+          return registry.add('name');
+        }
+      `,
+      filename,
+    },
+    // ✅ Library types named like built-in collections (`Immutable.Map`)
+    {
+      code: `
+        function remember(cache: Immutable.Map<string, number>, key: string) {
+          return cache.set(key, 1).delete('stale');
+        }
+      `,
+      filename,
+    },
+    // ✅ Built-in mutators on parameters with Mut<T> type
+    {
+      code: `
+        function remember(cache: Mut<Map<string, number>>, key: string) {
+          cache.set(key, 1);
+        }
+      `,
+      filename,
+    },
+    // ✅ Values and properties declared readonly can't be mutation targets
+    {
+      code: `
+        interface Config {
+          readonly id: string;
+          debug: boolean;
+        }
+        
+        function reset(names: readonly string[], flags: ReadonlySet<string>, config: Readonly<Config>, other: Config) {
+          names.sort();
+          flags.clear();
+          config.debug = true;
+          other.id = 'x';
+        }
+      `,
+      filename,
+    },
+    // ✅ Mut<T> behind a type alias
+    {
+      code: `
+        interface User { name: string }
+        type EditableUser = Mut<User>;
+        
+        function rename(user: EditableUser, list: MutList<string>) {
+          user.name = 'Updated';
+          list.push('a');
+        }
+      `,
+      filename,
+    },
+  ],
+
+  invalid: [
+    // ❌ A Mut type declared inside an unrelated namespace
+    {
+      code: `
+        declare namespace Foo {
+          type Mut<T> = T;
+        }
+        
+        function update(user: Foo.Mut<{ name: string }>) {
+          user.name = 'Updated';
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'user' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ Built-in collection mutators identified by receiver type
+    {
+      code: `
+        function remember(cache: Map<string, number>, key: string) {
+          cache.set(key, 1);
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'cache' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        class LruCache extends Map<string, number> {}
+        
+        function remember(cache: LruCache, key: string) {
+          cache.delete(key);
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'cache' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function forget(index: Map<string, number> | Set<string>, key: string) {
+          index.delete(key);
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'index' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function addHeader(headers: Headers, params: URLSearchParams) {
+          headers.append('x-id', '1');
+          params.sort();
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'headers' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'params' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ Mutable values reached through readonly properties
+    {
+      code: `
+        function add(state: { readonly items: string[] }) {
+          state.items.push('a');
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'state' is mutated through 'state.items' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ Calls resolved by the type checker: generic receivers and ambient declarations
+    {
+      code: `
+        interface Repository<T> {
+          save(entity: Mut<T>): void;
+        }
+        
+        function persist<R extends Repository<{ id: string }>>(repo: R, entity: { id: string }, numbers: number[]) {
+          repo.save(entity);
+          sortInPlace(numbers);
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'entity' is mutated by function 'save' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'numbers' is mutated by function 'sortInPlace' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ Receivers without useful type information fall back to the method name
+    {
+      code: `
+        function remember(cache: any, key: string) {
+          cache.set(key, 1);
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Parameter 'cache' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+  ],
+});
@@ -115,9 +115,168 @@ ruleTester.run('require-mut-param (TypeScript)', rule, {
       `,
       filename: 'test.ts',
     },
+    // ✅ Element mutations through iteration over a Mut<T> parameter
+    {
+      code: `
+        function activate(users: Mut<{ active: boolean }[]>) {
+          for (const u of users) u.active = true;
+        }
+      `,
+      filename: 'test.ts',
+    },
+    // ✅ Mut<T> on a destructured parameter covers all of its bindings
+    {
+      code: `
+        function addItem({ items, meta }: Mut<{ items: number[]; meta: { count: number } }>) {
+          items.push(1);
+          meta.count++;
+        }
+      `,
+      filename: 'test.ts',
+    },
+    {
+      code: `
+        function configure(opts: Mut<{ x?: number }> = {}) {
+          opts.x = 1;
+        }
+      `,
+      filename: 'test.ts',
+    },
+    {
+      code: `
+        function complete(...rows: Mut<{ done: boolean }[]>) {
+          rows[0].done = true;
+        }
+      `,
+      filename: 'test.ts',
+    },
+    // ✅ Mut<T> imported under another name or through a namespace
+    {
+      code: `
+        import type { Mut as M } from 'eslint-plugin-mutate';
+        import type * as MutateTypes from 'eslint-plugin-mutate';
+
+        function rename(user: M<{ name: string }>, other: MutateTypes.Mut<{ name: string }>) {
+          user.name = 'Updated';
+          other.name = 'Updated';
+        }
+      `,
+      filename: 'test.ts',
+    },
+    // ✅ Mut<T> in unions, intersections, type aliases, constraints and optional parameters
+    {
+      code: `
+        interface User { name: string }
+        type Users = Mut<User[]>;
+        type MaybeUsers = Users | null;
+
+        function update<T extends Mut<object>>(
+          user: Mut<User> | undefined,
+          admin: Mut<User> & { role: string },
+          users: Users,
+          others: MaybeUsers,
+          target: T,
+          optional?: Mut<User>,
+          fallback: Mut<User> = { name: '' }
+        ) {
+          user!.name = 'Updated';
+          admin.name = 'Updated';
+          users.push({ name: 'New' });
+          others!.length = 0;
+          Object.assign(target, {});
+          optional!.name = 'Updated';
+          fallback.name = 'Updated';
+        }
+      `,
+      filename: 'test.ts',
+    },
   ],
 
   invalid: [
+    // ❌ Methods that mutate 'this', directly or through other methods, on receivers of a declared class type
+    {
+      code: `
+        class Cart {
+          #count = 0;
+          items: string[] = [];
+
+          addItem(item: string) {
+            this.items.push(item);
+            this.#count++;
+          }
+
+          addAll(items: string[]) {
+            items.forEach(item => this.addItem(item));
+          }
+        }
+
+        function checkout(cart: Cart, extra: string) {
+          cart.addAll([extra]);
+        }
+
+        function restock(store: { cart: Cart }, item: string) {
+          store.cart.addItem(item);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'cart' is mutated by function 'addAll' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+          line: 16,
+        },
+        {
+          message: "Parameter 'store' is mutated through 'store.cart' by function 'addItem' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+          line: 20,
+        },
+      ],
+    },
+    // ❌ Unions with a member that isn't Mut<T>, and imports of other types
+    {
+      code: `
+        import type { Readonly as Mut } from './types';
+
+        function update(user: Mut<{ name: string }>, other: Mut<{ name: string }> | { name: string }) {
+          user.name = 'Updated';
+        }
+
+        function rename(other: { name: string } | Mut<{ name: string }>) {
+          other.name = 'Updated';
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'user' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'other' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ A Mut member of a namespace that isn't a namespace import
+    {
+      code: `
+        import type { Types } from './types';
+
+        declare namespace Foo {
+          type Mut<T> = T;
+        }
+
+        function update(user: Foo.Mut<{ name: string }>, other: Types.Mut<{ name: string }>) {
+          user.name = 'Updated';
+          other.name = 'Updated';
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'user' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'other' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
     // ❌ Parameters mutated without Mut<T> type
     {
       code: `
@@ -181,7 +340,7 @@ ruleTester.run('require-mut-param (TypeScript)', rule, {
       filename: 'test.ts',
       errors: [
         {
-          message: "Parameter 'obj' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+          message: "Parameter 'obj' is mutated through 'obj.nested' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
         },
       ],
     },
@@ -233,5 +392,171 @@ ruleTester.run('require-mut-param (TypeScript)', rule, {
         },
       ],
     },
+    // ❌ Method-call mutations on nested members
+    {
+      code: `
+        function register(config: { plugins: string[] }, plugin: string) {
+          config.plugins.push(plugin);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'config' is mutated through 'config.plugins' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ TypeScript wrapper expressions
+    {
+      code: `
+        function increment(param: { count: number } | null) {
+          param!.count++;
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'param' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        interface Foo { x: number }
+        function update(param: unknown, other: unknown, legacy: unknown) {
+          (param as Mut<Foo>).x = 1;
+          (other satisfies unknown as Foo).x = 1;
+          (<Foo>legacy).x = 1;
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'param' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'other' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'legacy' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function addItem(param: { items?: number[] }) {
+          param.items!.push(1);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'param' is mutated through 'param.items' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ Element mutations through iteration over a parameter
+    {
+      code: `
+        function activate(users: { active: boolean }[]) {
+          users.forEach((u: Mut<{ active: boolean }>) => { u.active = true; });
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'users' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    // ❌ Destructured, defaulted and rest parameters without Mut<T>
+    {
+      code: `
+        function addItem({ items }: { items: number[] }) {
+          items.push(1);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function configure(opts: { x?: number } = {}) {
+          opts.x = 1;
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function complete(...rows: { done: boolean }[]) {
+          rows[0].done = true;
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'rows' is mutated through 'rows[0]' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function update(user: { updated: boolean }) {
+          arguments[0].updated = true;
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'user' is mutated through 'arguments[0]' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        function addDefaults(opts: Mut<{ debug?: boolean }>) {
+          opts.debug = false;
+        }
+
+        function build(opts: { debug?: boolean }) {
+          addDefaults(opts);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated by function 'addDefaults' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
+    {
+      code: `
+        declare function addDefaults(opts: Mut<{ debug?: boolean }>): void;
+
+        function build(opts: { debug?: boolean }, visit: (item: Mut<string[]>) => void, items: string[]) {
+          addDefaults(opts);
+          visit(items);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated by function 'addDefaults' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+        {
+          message: "Parameter 'items' is mutated by function 'visit' but doesn't have 'Mut<T>' type annotation. Consider changing type to 'Mut<YourType>'.",
+        },
+      ],
+    },
   ],
 });
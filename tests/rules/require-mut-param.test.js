@@ -1,7 +1,12 @@
-const { RuleTester } = require('eslint');
+const { Linter, RuleTester } = require('eslint');
 const createMutRule = require('../../rules/require-mut');
 const rule = createMutRule('param');
 
+// Private class members need ecmaVersion 2022, which ESLint 7 can't parse
+const supportsPrivateMembers = new Linter()
+  .verify('class A { #a = 0; }', { parserOptions: { ecmaVersion: 2022 } })
+  .every(message => !message.fatal);
+
 const ruleTester = new RuleTester({
   parserOptions: {
     ecmaVersion: 2020,
@@ -101,6 +106,482 @@ ruleTester.run('require-mut-param', rule, {
         }
       `,
       options: []
+    },
+    // ✅ Destructured, defaulted and rest parameters with mut prefix
+    {
+      code: `
+        function addItem({ items: mutItems }, item) {
+          mutItems.push(item);
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function configure(mutOpts = {}) {
+          mutOpts.configured = true;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function complete(...mutRows) {
+          mutRows[0].done = true;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function swap([mutFirst, second]) {
+          mutFirst.value = second.value;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function update(mutUser) {
+          arguments[0].updated = true;
+        }
+      `,
+      options: []
+    },
+    // ✅ Destructured parameters that are only read
+    {
+      code: `
+        function total({ items, tax = 0 }) {
+          return items.length + tax;
+        }
+      `,
+      options: []
+    },
+    // ✅ Copies of parameters are not aliases
+    {
+      code: `
+        function sorted(items, config) {
+          const list = [...items];
+          const copy = { ...config };
+          const clone = structuredClone(config);
+          const slice = items.slice();
+          list.sort();
+          slice.reverse();
+          copy.sorted = true;
+          clone.meta.count++;
+          return [list, slice, copy, clone];
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function append(mutItems) {
+          mutItems.push({ done: false });
+        }
+
+        function extend(items) {
+          append([...items]);
+          append(items.slice());
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function withoutId(record) {
+          const { id, ...rest } = record;
+          rest.touched = true;
+          return [id, rest];
+        }
+      `,
+      options: []
+    },
+    // ✅ Aliases reassigned to fresh values before mutation
+    {
+      code: `
+        function build(items) {
+          let list = items;
+          list = [];
+          list.push(1);
+          return list;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function build(items, empty) {
+          let list = items;
+          if (empty) {
+            list = [];
+          } else {
+            list = [...items];
+          }
+          list.push(1);
+          return list;
+        }
+      `,
+      options: []
+    },
+    // ✅ Aliases of parameters with mut prefix
+    {
+      code: `
+        function addItem(mutItems, item) {
+          const list = mutItems;
+          list.push(item);
+        }
+      `,
+      options: []
+    },
+    // ✅ Static mutators and delete on parameters with mut prefix
+    {
+      code: `
+        function applyDefaults(mutOpts, defaults) {
+          Object.assign(mutOpts, defaults);
+          Reflect.deleteProperty(mutOpts, 'legacy');
+          delete mutOpts.token;
+        }
+      `,
+      options: []
+    },
+    // ✅ Static mutators that only read their other arguments
+    {
+      code: `
+        function merge(defaults, overrides) {
+          return Object.assign({}, defaults, overrides);
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function describe(target) {
+          return [Object.keys(target), Reflect.get(target, 'name'), Object.isFrozen(target)];
+        }
+      `,
+      options: []
+    },
+    // ✅ Local bindings shadowing the built-ins
+    {
+      code: `
+        function merge(Object, Reflect, Array, target, source) {
+          Object.assign(target, source);
+          Reflect.deleteProperty(target, 'merged');
+          Array.prototype.push.call(target, source);
+        }
+      `,
+      options: []
+    },
+    // ✅ Freezing an object doesn't count as mutating it
+    {
+      code: `
+        function deepFreeze(o) {
+          Object.values(o).forEach(value => {
+            if (typeof value === 'object' && value !== null) deepFreeze(value);
+          });
+          Object.freeze(o);
+          Object.seal(o);
+          Reflect.preventExtensions(o);
+          return o;
+        }
+      `,
+      options: []
+    },
+    // ✅ Nested method-call mutations with mut prefix
+    {
+      code: `
+        function register(mutConfig, plugin) {
+          mutConfig.plugins.push(plugin);
+          mutConfig.cache.entries.set(plugin.name, plugin);
+        }
+      `,
+      options: []
+    },
+    // ✅ Non-mutating methods on nested members
+    {
+      code: `
+        function names(config) {
+          return config.plugins.map(plugin => plugin.name).concat(config.extra.slice());
+        }
+      `,
+      options: []
+    },
+    // ✅ Private methods never match built-in mutators
+    ...(supportsPrivateMembers ? [
+      {
+        code: `
+          class Queue {
+            #push(item) {
+              return item;
+            }
+            
+            copy(other, item) {
+              return other.#push(item);
+            }
+          }
+        `,
+        parserOptions: { ecmaVersion: 2022 }
+      }
+    ] : []),
+    // ✅ Computed properties that are not mutating methods
+    {
+      code: `
+        function read(items, method) {
+          return [items['map'](x => x), items[method]];
+        }
+      `,
+      options: []
+    },
+    // ✅ Destructuring assignments and loop heads that only write locals
+    {
+      code: `
+        function split(pair, source) {
+          let a, b, key, x;
+          [a, b] = pair;
+          ({ x } = source);
+          for (key in source) x = key;
+          for ([a, b] of pair) x = a + b;
+          return x;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function swap(mutPair) {
+          [mutPair.a, mutPair.b] = [mutPair.b, mutPair.a];
+        }
+      `,
+      options: []
+    },
+    // ✅ Element mutations through iteration over a parameter with mut prefix
+    {
+      code: `
+        function activate(mutUsers) {
+          for (const u of mutUsers) u.active = true;
+          mutUsers.forEach(u => { u.seen = true; });
+        }
+      `,
+      options: []
+    },
+    // ✅ Iteration that only reads elements
+    {
+      code: `
+        function names(users) {
+          const result = [];
+          for (const u of users) result.push(u.name);
+          return result.concat(users.map(u => u.email));
+        }
+      `,
+      options: []
+    },
+    // ✅ Parameters rebound to fresh copies before being mutated
+    {
+      code: `
+        function normalize(items) {
+          items = [...items];
+          items.sort();
+          return items;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function withDefaults(opts, defaults) {
+          if (opts.frozen) {
+            opts = structuredClone(opts);
+          } else {
+            opts = Object.assign({}, opts);
+          }
+          Object.assign(opts, defaults);
+          return opts;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function activateFirst(users) {
+          users = structuredClone(users);
+          users[0].active = true;
+          return users;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function prepare(list) {
+          var list = list.slice();
+          const alias = list;
+          alias.reverse();
+          return alias;
+        }
+      `,
+      options: []
+    },
+    // ✅ Local variables shadowing a parameter
+    {
+      code: `
+        function outer(items) {
+          if (items.length === 0) {
+            const items = [];
+            items.push(1);
+            return items;
+          }
+          return items;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function outer(config) {
+          return function inner() {
+            let config = {};
+            config.ready = true;
+            return config;
+          };
+        }
+      `,
+      options: []
+    },
+    // ✅ Parameters forwarded to mutating functions with the 'mut' prefix
+    {
+      code: `
+        function addDefaults(mutOpts) {
+          mutOpts.debug = false;
+        }
+        
+        function build(mutOpts, name) {
+          addDefaults(mutOpts);
+          return describe(name);
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function addDefaults(mutOpts) {
+          mutOpts.debug = false;
+        }
+        
+        function build(opts) {
+          addDefaults({ ...opts });
+          const copy = structuredClone(opts);
+          addDefaults(copy);
+          return copy;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function addDefaults(mutOpts) {
+          mutOpts.debug = false;
+        }
+        
+        function build(opts) {
+          opts = { ...opts };
+          addDefaults(opts);
+          return opts;
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function update(mutUser) {
+          mutUser.updatedAt = Date.now();
+        }
+        
+        function refresh(user, cache) {
+          return cache.update(user);
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function format(value) {
+          return String(value);
+        }
+        
+        function render(item) {
+          return format(item);
+        }
+      `,
+      options: []
+    },
+    // ✅ Methods that don't mutate 'this', or called on receivers whose class isn't known
+    {
+      code: `
+        class Cart {
+          addItem(item) {
+            this.items.push(item);
+          }
+          
+          total() {
+            return this.items.length;
+          }
+        }
+        
+        class Counter {
+          toString() {
+            this.calls++;
+            return String(this.calls);
+          }
+          
+          get(key) {
+            if (!this.values) this.values = {};
+            return this.values[key];
+          }
+        }
+        
+        function preview(cart, order) {
+          order.addItem({});
+          return cart.total();
+        }
+        
+        function show(value) {
+          return value.toString();
+        }
+        
+        function read(map, maps) {
+          return [map.get('k'), maps.map(m => m.get('k'))];
+        }
+      `,
+      options: []
+    },
+    // ✅ In JavaScript the class of a parameter isn't known, even when a single class
+    // declares a mutating method with the called name
+    {
+      code: `
+        class Cart {
+          addItem(item) {
+            this.items.push(item);
+          }
+        }
+        
+        function checkout(cart, item) {
+          cart.addItem(item);
+        }
+      `,
+      options: []
+    },
+    // ✅ Arrow functions don't have their own 'arguments'
+    {
+      code: `
+        function outer(mutData) {
+          const inner = (item) => {
+            arguments[0].item = item;
+          };
+          inner(1);
+        }
+      `,
+      options: []
     }
   ],
 
@@ -208,6 +689,999 @@ ruleTester.run('require-mut-param', rule, {
           type: 'Identifier'
         }
       ]
+    },
+    // ❌ Destructured parameters
+    {
+      code: `
+        function addItem({ items }, item) {
+          items.push(item);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function updateMeta({ config: { meta } }) {
+          meta.count++;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'meta' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutMeta'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function swap([first, second]) {
+          first.value = second.value;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'first' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutFirst'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Parameters with default values
+    {
+      code: `
+        function configure(opts = {}) {
+          opts.x = 1;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Rest parameters
+    {
+      code: `
+        function complete(...rows) {
+          rows[0].done = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'rows' is mutated through 'rows[0]' but doesn't have 'mut' prefix. Consider renaming to 'mutRows'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function collect(target, ...{ length, ...rest }) {
+          rest.extra = length;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'rest' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutRest'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Mutations through 'arguments'
+    {
+      code: `
+        function update(user) {
+          arguments[0].updated = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'user' is mutated through 'arguments[0]' but doesn't have 'mut' prefix. Consider renaming to 'mutUser'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function append(target, ...lists) {
+          arguments[3].push(target);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'lists' is mutated through 'arguments[3]' but doesn't have 'mut' prefix. Consider renaming to 'mutLists'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Mutations through local aliases
+    {
+      code: `
+        function addItem(items, item) {
+          const list = items;
+          list.push(item);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function count(config) {
+          const { meta } = config;
+          meta.count++;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'config' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function touch(config) {
+          let target;
+          target = config.settings;
+          const alias = target;
+          alias.touched = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'config' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function markFirst(pair) {
+          const [head] = arguments[0];
+          head.seen = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'pair' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutPair'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Aliases reassigned on some paths only
+    {
+      code: `
+        function addItem(items, item, reset) {
+          let list = items;
+          if (reset) {
+            list = [];
+          }
+          list.push(item);
+          return list;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Conditional and logical expressions that may yield the parameter
+    {
+      code: `
+        function sortOne(items, other, cond) {
+          (cond ? items : other).sort();
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'other' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutOther'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function setDefault(opts) {
+          const target = opts || {};
+          target.ready = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Method-call mutations on nested members
+    {
+      code: `
+        function register(config, plugin) {
+          config.plugins.push(plugin);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'config' is mutated through 'config.plugins' but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function sortItems(state) {
+          state.items.sort();
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'state' is mutated through 'state.items' but doesn't have 'mut' prefix. Consider renaming to 'mutState'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function removeFirst(graph, i) {
+          graph.deps[i].splice(0, 1);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'graph' is mutated through 'graph.deps[i]' but doesn't have 'mut' prefix. Consider renaming to 'mutGraph'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Optional chaining, computed method names and sequence expressions
+    {
+      code: `
+        function addItem(param, x) {
+          param?.items?.push(x);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'param' is mutated through 'param?.items' but doesn't have 'mut' prefix. Consider renaming to 'mutParam'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function addItem(list, x) {
+          list['push'](x);
+          (list?.sort)();
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'list' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutList'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function sortAll(items) {
+          (0, items).sort();
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function applyDefaults(opts, defaults) {
+          Object['assign'](opts, defaults);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Private field writes
+    ...(supportsPrivateMembers ? [
+      {
+        code: `
+          class Point {
+            #x = 0;
+            
+            copyTo(other) {
+              other.#x = this.#x;
+            }
+          }
+        `,
+        parserOptions: { ecmaVersion: 2022 },
+        errors: [
+          {
+            message: "Parameter 'other' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutOther'.",
+            type: 'Identifier'
+          }
+        ]
+      }
+    ] : []),
+    // ❌ Destructuring assignment targets
+    {
+      code: `
+        function swap(pair, a, b) {
+          [pair.a, pair.b] = [b, a];
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'pair' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutPair'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function copyInto(target, meta, source) {
+          ({ x: target.x, meta: { count: meta.stats.count = 0 }, ...target.rest } = source);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'target' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutTarget'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'meta' is mutated through 'meta.stats' but doesn't have 'mut' prefix. Consider renaming to 'mutMeta'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Loop heads
+    {
+      code: `
+        function walk(param, list) {
+          for (param.cursor of list) {
+            console.log(param.cursor);
+          }
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'param' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutParam'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function keys(param, obj) {
+          for (param.key in obj) {
+            console.log(param.key);
+          }
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'param' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutParam'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Logical assignments
+    {
+      code: `
+        function ensureCache(param, state) {
+          param.cache ??= {};
+          [state.a] = [param.cache];
+        }
+      `,
+      parserOptions: { ecmaVersion: 2021 },
+      errors: [
+        {
+          message: "Parameter 'param' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutParam'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'state' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutState'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Element mutations through iteration over a parameter
+    {
+      code: `
+        function activate(users) {
+          for (const u of users) u.active = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function activate(users) {
+          users.forEach(u => { u.active = true; });
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function activate(users) {
+          users.forEach(mutUser => { mutUser.active = true; });
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function tagAll(groups, tag) {
+          groups.filter(g => g.enabled).map(function ({ tags }) {
+            tags.push(tag);
+            return tags;
+          });
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'groups' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutGroups'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function resetAll(lookup, rows) {
+          for (const [key, value] of Object.entries(lookup)) value.reset = key;
+          for (const row of [...rows.slice(1)]) row.index = 0;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'lookup' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutLookup'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'rows' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutRows'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function activate(users) {
+          for (let i = 0; i < users.length; i++) {
+            const u = users[i];
+            u.active = true;
+          }
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Element mutations through a shallow copy stored in a variable
+    {
+      code: `
+        function activate(users) {
+          const copy = [...users];
+          copy.forEach(u => { u.active = true; });
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function activateFirst(users, config) {
+          const copy = users.slice();
+          copy[0].active = true;
+          const settings = { ...config };
+          settings.theme.dark = true;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated through 'copy[0]' but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'config' is mutated through 'settings.theme' but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Shallow copies passed to a function that mutates their elements
+    {
+      code: `
+        function markFirst(mutItems) {
+          mutItems[0].done = true;
+        }
+
+        function markAll(mutItems) {
+          for (const item of mutItems) {
+            item.done = true;
+          }
+        }
+
+        function complete(items, rows) {
+          markFirst([...items]);
+          markAll(rows.slice());
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated by function 'markFirst' but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'rows' is mutated by function 'markAll' but doesn't have 'mut' prefix. Consider renaming to 'mutRows'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Callbacks over local arrays still report their own parameters
+    {
+      code: `
+        function activate() {
+          const users = [];
+          users.forEach(u => { u.active = true; });
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'u' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutU'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Mutations before the parameter is rebound to a copy
+    {
+      code: `
+        function normalize(items) {
+          items.sort();
+          items = [...items];
+          return items;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Element mutations after the parameter is rebound to a shallow copy
+    {
+      code: `
+        function activateFirst(users) {
+          users = users.slice();
+          users[0].active = true;
+          return users;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated through 'users[0]' but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Mutations on paths where the parameter is not rebound
+    {
+      code: `
+        function normalize(items, copy) {
+          if (copy) {
+            items = [...items];
+          }
+          items.sort();
+          return items;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function normalize(items, source) {
+          items = [...items];
+          items = source.items;
+          items.sort();
+          return items;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function normalize(items) {
+          items = items.sort();
+          return items;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function normalizeAll(items, times) {
+          for (let i = 0; i < times; i++) {
+            items.sort();
+            items = [...items];
+          }
+          return items;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Mutations attributed to the shadowing parameter only
+    {
+      code: `
+        function outer(items) {
+          return (items) => items.push(1);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'items' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutItems'.",
+          type: 'Identifier',
+          column: 19
+        }
+      ]
+    },
+    {
+      code: `
+        function outer(list, mutItems) {
+          function inner(list) {
+            const items = list;
+            items.push(1);
+          }
+          inner(mutItems);
+          return list.length;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'list' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutList'.",
+          type: 'Identifier',
+          column: 26
+        }
+      ]
+    },
+    // ❌ Parameters forwarded to mutating functions
+    {
+      code: `
+        function addDefaults(mutOpts) {
+          mutOpts.debug = false;
+        }
+        
+        function build(opts) {
+          addDefaults(opts);
+          return opts;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated by function 'addDefaults' but doesn't have 'mut' prefix. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        const register = (mutRegistry, plugin) => {
+          mutRegistry.push(plugin);
+        };
+        
+        function setup(config, plugin) {
+          register(config.plugins, plugin);
+        }
+        
+        function main(config) {
+          setup(config, 'logger');
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'config' is mutated through 'config.plugins' by function 'register' but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          line: 6
+        },
+        {
+          message: "Parameter 'config' is mutated by function 'setup' but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          line: 10
+        }
+      ]
+    },
+    {
+      code: `
+        function walk(node, seen) {
+          if (node.next) visit(node.next, seen);
+        }
+        
+        function visit(node, seen) {
+          seen.add(node);
+          walk(node, seen);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'seen' is mutated by function 'visit' but doesn't have 'mut' prefix. Consider renaming to 'mutSeen'.",
+          line: 2
+        },
+        {
+          message: "Parameter 'seen' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutSeen'.",
+          line: 6
+        }
+      ]
+    },
+    {
+      code: `
+        function touch(mutUser) {
+          mutUser.updatedAt = Date.now();
+        }
+        
+        function touchAll(users) {
+          const list = users;
+          list.forEach(user => touch(user));
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'users' is mutated by function 'touch' but doesn't have 'mut' prefix. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        class Store {
+          constructor(mutConfig) {
+            mutConfig.ready = true;
+          }
+        }
+        
+        function createStore(config) {
+          return new Store(config);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'config' is mutated by function 'Store' but doesn't have 'mut' prefix. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        exports.touch = function (mutUser) {
+          mutUser.updatedAt = Date.now();
+        };
+        
+        exports.refresh = function (user) {
+          exports.touch(user);
+        };
+      `,
+      errors: [
+        {
+          message: "Parameter 'user' is mutated by function 'touch' but doesn't have 'mut' prefix. Consider renaming to 'mutUser'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function addDefaults(mutOpts) {
+          mutOpts.debug = false;
+        }
+        
+        function build(opts, ctx) {
+          addDefaults.call(ctx, opts);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated by function 'addDefaults' but doesn't have 'mut' prefix. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function save({ doc, index: mutIndex }) {
+          mutIndex.set(doc.id, doc);
+        }
+        
+        function build(doc, index) {
+          save({ doc, index });
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'index' is mutated by function 'save' but doesn't have 'mut' prefix. Consider renaming to 'mutIndex'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function markDone(mutTask) {
+          mutTask.done = true;
+        }
+        
+        function finish(tasks) {
+          tasks.forEach(markDone);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'tasks' is mutated by function 'markDone' but doesn't have 'mut' prefix. Consider renaming to 'mutTasks'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Built-in mutators borrowed with call or apply
+    {
+      code: `
+        function add(list, item) {
+          Array.prototype.push.call(list, item);
+        }
+        
+        function addAll(target, items) {
+          [].push.apply(target, items);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'list' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutList'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'target' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutTarget'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Object and Reflect static mutators
+    {
+      code: `
+        function applyDefaults(opts, defaults) {
+          Object.assign(opts, defaults);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'opts' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function define(target, proto) {
+          Object.defineProperty(target, 'id', { value: 1 });
+          Object.setPrototypeOf(proto.instance, proto);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'target' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutTarget'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Parameter 'proto' is mutated through 'proto.instance' but doesn't have 'mut' prefix. Consider renaming to 'mutProto'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function reflect(obj, key, value) {
+          Reflect.set(obj, key, value);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'obj' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutObj'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function forget(cache, key) {
+          Reflect.deleteProperty(cache, key);
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'cache' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutCache'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ delete operator
+    {
+      code: `
+        function logout(user) {
+          delete user.token;
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'user' is mutated but doesn't have 'mut' prefix. Consider renaming to 'mutUser'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        function clearSession(state, key) {
+          delete state.sessions[key];
+        }
+      `,
+      errors: [
+        {
+          message: "Parameter 'state' is mutated through 'state.sessions' but doesn't have 'mut' prefix. Consider renaming to 'mutState'.",
+          type: 'Identifier'
+        }
+      ]
     }
   ]
 });
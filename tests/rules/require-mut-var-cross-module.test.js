@@ -0,0 +1,370 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter, RuleTester } = require('eslint');
+const createMutRule = require('../../rules/require-mut');
+const rule = createMutRule('var');
+
+const fixturesDir = path.join(__dirname, '../fixtures/cross-module');
+const filename = path.join(fixturesDir, 'src/main.js');
+const options = [{ crossModule: { cache: false } }];
+
+const ruleTester = new RuleTester({
+  parserOptions: {
+    ecmaVersion: 2020,
+    sourceType: 'module'
+  }
+});
+
+ruleTester.run('require-mut-var (cross-module)', rule, {
+  valid: [
+    // ✅ Imported function that mutates its parameter, with mut prefix
+    {
+      code: `
+        import { applyDefaults } from './config';
+
+        const mutOptions = {};
+        applyDefaults(mutOptions);
+      `,
+      filename,
+      options
+    },
+
+    // ✅ Imported function that only reads its parameter
+    {
+      code: `
+        import { readTimeout } from './config';
+
+        const options = {};
+        readTimeout(options);
+      `,
+      filename,
+      options
+    },
+
+    // ✅ Cross-module analysis is opt-in
+    {
+      code: `
+        import { applyDefaults } from './config';
+
+        const options = {};
+        applyDefaults(options);
+      `,
+      filename
+    },
+
+    // ✅ Packages outside the workspace are not analyzed
+    {
+      code: `
+        import { merge } from 'lodash';
+
+        const options = {};
+        merge(options, {});
+      `,
+      filename,
+      options
+    }
+  ],
+
+  invalid: [
+    // ❌ Named import
+    {
+      code: `
+        import { applyDefaults } from './config';
+
+        const options = {};
+        applyDefaults(options);
+      `,
+      filename,
+      options,
+      errors: [
+        {
+          message: "Argument 'options' is passed to function 'applyDefaults' which mutates this parameter. Consider renaming to 'mutOptions'.",
+          type: 'Identifier',
+          line: 5
+        }
+      ]
+    },
+
+    // ❌ Default and namespace imports
+    {
+      code: `
+        import normalize from './config.js';
+        import * as config from './config';
+
+        const options = {};
+        normalize(options);
+        const settings = {};
+        config.applyDefaults(settings);
+      `,
+      filename,
+      options,
+      errors: [
+        {
+          message: "Argument 'options' is passed to function 'normalize' which mutates this parameter. Consider renaming to 'mutOptions'.",
+          type: 'Identifier',
+          line: 6
+        },
+        {
+          message: "Argument 'settings' is passed to function 'applyDefaults' which mutates this parameter. Consider renaming to 'mutSettings'.",
+          type: 'Identifier',
+          line: 8
+        }
+      ]
+    },
+
+    // ❌ Mutations forwarded through another module
+    {
+      code: `
+        import { prepare } from './prepare';
+
+        const options = {};
+        prepare(options);
+      `,
+      filename,
+      options,
+      errors: [
+        {
+          message: "Argument 'options' is passed to function 'prepare' which mutates this parameter. Consider renaming to 'mutOptions'.",
+          type: 'Identifier',
+          line: 5
+        }
+      ]
+    },
+
+    // ❌ CommonJS modules: `exports.reset = ...` and `module.exports = ...`
+    {
+      code: `
+        const { reset } = require('./legacy.cjs');
+        const legacy = require('./legacy.cjs');
+        const increment = require('./increment.cjs');
+
+        const state = { count: 1 };
+        reset(state);
+        const other = { count: 1 };
+        legacy.reset(other);
+        const counter = { value: 0 };
+        increment(counter);
+      `,
+      filename,
+      options,
+      errors: [
+        {
+          message: "Argument 'state' is passed to function 'reset' which mutates this parameter. Consider renaming to 'mutState'.",
+          type: 'Identifier',
+          line: 7
+        },
+        {
+          message: "Argument 'other' is passed to function 'reset' which mutates this parameter. Consider renaming to 'mutOther'.",
+          type: 'Identifier',
+          line: 9
+        },
+        {
+          message: "Argument 'counter' is passed to function 'increment' which mutates this parameter. Consider renaming to 'mutCounter'.",
+          type: 'Identifier',
+          line: 11
+        }
+      ]
+    },
+
+    // ❌ `index` files and TypeScript sources
+    {
+      code: `
+        import { addItem } from './store';
+
+        const cart = { items: [] };
+        addItem(cart, 'apple');
+      `,
+      filename,
+      options,
+      parser: require.resolve('@typescript-eslint/parser'),
+      errors: [
+        {
+          message: "Argument 'cart' is passed to function 'addItem' which mutates this parameter. Consider renaming to 'mutCart'.",
+          type: 'Identifier',
+          line: 5
+        }
+      ]
+    },
+
+    // ❌ TypeScript modules importing each other, parsed with the same parser
+    {
+      code: `
+        import { checkout } from './store/checkout';
+
+        const cart = { items: [] };
+        checkout(cart, 'apple');
+      `,
+      filename,
+      options,
+      parser: require.resolve('@typescript-eslint/parser'),
+      errors: [
+        {
+          message: "Argument 'cart' is passed to function 'checkout' which mutates this parameter. Consider renaming to 'mutCart'.",
+          type: 'Identifier',
+          line: 5
+        }
+      ]
+    },
+
+    // ❌ Declaration files of modules without source
+    {
+      code: `
+        import { sortInPlace } from './sort';
+
+        const numbers = [3, 1, 2];
+        sortInPlace(numbers);
+      `,
+      filename,
+      options,
+      parser: require.resolve('@typescript-eslint/parser'),
+      errors: [
+        {
+          message: "Argument 'numbers' is passed to function 'sortInPlace' which mutates this parameter. Consider renaming to 'mutNumbers'.",
+          type: 'Identifier',
+          line: 5
+        }
+      ]
+    },
+
+    // ❌ Workspace packages, through `package.json` `exports` and re-exports
+    {
+      code: `
+        import { fill, prepareOptions } from '@acme/utils';
+        import { fill as fillList } from '@acme/utils/array';
+
+        const list = [];
+        fill(list, 1);
+        const items = [];
+        fillList(items, 1);
+        const options = {};
+        prepareOptions(options);
+      `,
+      filename,
+      options,
+      errors: [
+        {
+          message: "Argument 'list' is passed to function 'fill' which mutates this parameter. Consider renaming to 'mutList'.",
+          type: 'Identifier',
+          line: 6
+        },
+        {
+          message: "Argument 'items' is passed to function 'fillList' which mutates this parameter. Consider renaming to 'mutItems'.",
+          type: 'Identifier',
+          line: 8
+        },
+        {
+          message: "Argument 'options' is passed to function 'prepareOptions' which mutates this parameter. Consider renaming to 'mutOptions'.",
+          type: 'Identifier',
+          line: 10
+        }
+      ]
+    },
+
+    // ❌ Import cycles are followed until a module is visited again
+    {
+      code: `
+        import { clearBoth } from './cycle-a';
+
+        const first = [1];
+        clearBoth(first, []);
+      `,
+      filename,
+      options,
+      errors: [
+        {
+          message: "Argument 'first' is passed to function 'clearBoth' which mutates this parameter. Consider renaming to 'mutFirst'.",
+          type: 'Identifier',
+          line: 5
+        }
+      ]
+    }
+  ]
+});
+
+function loadFreshRule() {
+  // Fresh copies of the rule and the in-memory caches of module signatures
+  delete require.cache[require.resolve('../../rules/require-mut')];
+  delete require.cache[require.resolve('../../lib/module-signatures')];
+  return require('../../rules/require-mut')('var');
+}
+
+describe('require-mut-var (cross-module cache)', () => {
+  it('keeps signatures of a module apart per parser', () => {
+    const linter = new Linter();
+    linter.defineRule('mutate/require-mut-var', loadFreshRule());
+    const parser = require.resolve('@typescript-eslint/parser');
+    linter.defineParser(parser, require(parser));
+    const code = `
+      import { addItem } from './store';
+
+      const cart = { items: [] };
+      addItem(cart, 'apple');
+    `;
+    const config = {
+      parserOptions: { ecmaVersion: 2020, sourceType: 'module' },
+      rules: { 'mutate/require-mut-var': ['error', { crossModule: { cache: false } }] }
+    };
+
+    // The default parser can't read the TypeScript module, which must not hide it
+    // from TypeScript files linted afterwards
+    assert.strictEqual(linter.verify(code, config, { filename }).length, 0);
+    const messages = linter.verify(code, Object.assign({ parser }, config), {
+      filename: path.join(fixturesDir, 'src/main.ts')
+    });
+    assert.deepStrictEqual(messages.map(message => message.line), [5]);
+  });
+
+
+  it('stores one entry per module on disk and reuses it while the module is unchanged', () => {
+    const cacheLocation = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-plugin-mutate-'));
+    const moduleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eslint-plugin-mutate-src-'));
+    const modulePath = path.join(moduleDir, 'config.js');
+
+    const lint = () => {
+      // Signatures are either read from disk or computed again
+      const linter = new Linter();
+      linter.defineRule('mutate/require-mut-var', loadFreshRule());
+      return linter.verify(`
+        import { applyDefaults } from './config';
+
+        const options = {};
+        applyDefaults(options);
+      `, {
+        parserOptions: { ecmaVersion: 2020, sourceType: 'module' },
+        rules: { 'mutate/require-mut-var': ['error', { crossModule: { cacheLocation } }] }
+      }, { filename: path.join(moduleDir, 'main.js') });
+    };
+    const readEntry = () => {
+      const files = fs.readdirSync(cacheLocation);
+      assert.strictEqual(files.length, 1);
+      return path.join(cacheLocation, files[0]);
+    };
+
+    try {
+      fs.writeFileSync(modulePath, 'export function applyDefaults(options) { options.retries = 3; }\n');
+      assert.strictEqual(lint().length, 1);
+
+      // A stored entry is used as is: one without exports hides the mutation
+      const entryPath = readEntry();
+      const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+      const signatures = Object.assign({}, entry.signatures, { exports: {} });
+      fs.writeFileSync(entryPath, JSON.stringify(Object.assign({}, entry, { signatures })));
+      assert.strictEqual(lint().length, 0);
+
+      // Changing the module replaces its entry
+      fs.writeFileSync(modulePath, 'export function applyDefaults(options) { options.retries = 5; }\n');
+      assert.strictEqual(lint().length, 1);
+      assert.strictEqual(readEntry(), entryPath);
+      assert.notStrictEqual(JSON.parse(fs.readFileSync(entryPath, 'utf8')).hash, entry.hash);
+
+      fs.writeFileSync(modulePath, 'export function applyDefaults(options) { return { retries: 3, ...options }; }\n');
+      assert.strictEqual(lint().length, 0);
+      assert.strictEqual(readEntry(), entryPath);
+    } finally {
+      fs.rmSync(cacheLocation, { recursive: true, force: true });
+      fs.rmSync(moduleDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const path = require('path');
+const { RuleTester } = require('eslint');
+const createMutRule = require('../../rules/require-mut');
+const rule = createMutRule('var');
+
+const fixturesDir = path.join(__dirname, '../fixtures');
+const filename = path.join(fixturesDir, 'file.ts');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+  parserOptions: {
+    ecmaVersion: 2020,
+    sourceType: 'module',
+    project: './tsconfig.json',
+    tsconfigRootDir: fixturesDir,
+  },
+});
+
+ruleTester.run('require-mut-var (type-aware)', rule, {
+  valid: [
+    // ✅ Ambient declarations without Mut<T> parameters
+    {
+      code: `
+        const numbers = [1, 2, 3];
+        sum(numbers);
+      `,
+      filename,
+    },
+    // ✅ Variables typed with an alias of Mut<T>
+    {
+      code: `
+        const numbers: MutList<number> = [3, 1, 2];
+        sortInPlace(numbers);
+      `,
+      filename,
+    },
+  ],
+
+  invalid: [
+    // ❌ Ambient declarations whose parameters use an alias of Mut<T>
+    {
+      code: `
+        const numbers = [3, 1, 2];
+        sortInPlace(numbers);
+      `,
+      filename,
+      errors: [
+        {
+          message: "Argument 'numbers' is passed to function 'sortInPlace' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutNumbers'.",
+        },
+      ],
+    },
+    // ❌ Methods of generic receivers, resolved through their constraint
+    {
+      code: `
+        interface Repository<T> {
+          save(entity: Mut<T>): void;
+        }
+        
+        function persist<R extends Repository<{ id: string }>>(repo: R) {
+          const entity = { id: '1' };
+          repo.save(entity);
+        }
+      `,
+      filename,
+      errors: [
+        {
+          message: "Argument 'entity' is passed to function 'save' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutEntity'.",
+        },
+      ],
+    },
+  ],
+});
@@ -50,6 +50,106 @@ ruleTester.run('require-mut-var (TypeScript Variables)', rule, {
       `,
       filename: 'test.ts',
     },
+    // ✅ Declared signatures without Mut<T> parameters don't mutate their arguments
+    {
+      code: `
+        declare function sum(list: number[]): number;
+        interface Repository {
+          find(query: { id: string }): void;
+        }
+
+        function run(repo: Repository, visit: (item: string[]) => void) {
+          const numbers = [1, 2];
+          sum(numbers);
+          const query = { id: '1' };
+          repo.find(query);
+          const items: string[] = [];
+          visit(items);
+        }
+      `,
+      filename: 'test.ts',
+    },
+    // ✅ Variables annotated with Mut<T> through an alias, import or union
+    {
+      code: `
+        import type { Mut as M } from 'eslint-plugin-mutate';
+
+        type Users = Mut<{ name: string }[]>;
+
+        function reset(users: Mut<{ name: string }[]>) {
+          users.length = 0;
+        }
+
+        const users: Users = [];
+        reset(users);
+        const renamed: M<{ name: string }[]> = [];
+        reset(renamed);
+        const optional: Mut<{ name: string }[]> | undefined = [];
+        reset(optional!);
+      `,
+      filename: 'test.ts',
+    },
+    // ✅ Mut<T> parameters, class fields, return types and assertions
+    {
+      code: `
+        interface Item { done: boolean }
+
+        function complete(items: Mut<Item[]>) {
+          items.forEach(item => { item.done = true; });
+        }
+
+        function load(): Mut<Item[]> {
+          return [];
+        }
+
+        async function fetchItems(): Promise<Mut<Item[]>> {
+          return [];
+        }
+
+        function forward(items: Mut<Item[]>, { rows }: Mut<{ rows: Item[] }>) {
+          complete(items);
+          complete(rows);
+        }
+
+        class TodoList {
+          items: Mut<Item[]> = [];
+          archived = [] as Mut<Item[]>;
+
+          constructor(private pending: Mut<Item[]>) {}
+
+          finish() {
+            complete(this.items);
+            complete(this.archived);
+            complete(this.pending);
+          }
+        }
+
+        async function run() {
+          const loaded = load();
+          complete(loaded);
+          const fetched = await fetchItems();
+          complete(fetched);
+          const asserted = [] as Mut<Item[]>;
+          complete(asserted);
+        }
+      `,
+      filename: 'test.ts',
+    },
+    // ✅ Arguments asserted to Mut<T> at the call site
+    {
+      code: `
+        function sortIt(list: Mut<number[]>) {
+          list.sort();
+        }
+
+        const keys = [3, 1, 2];
+        sortIt(keys as Mut<number[]>);
+        sortIt(<Mut<number[]>>keys);
+        const state = { keys: [2, 1] };
+        sortIt(state.keys as Mut<number[]>);
+      `,
+      filename: 'test.ts',
+    },
   ],
 
   invalid: [
@@ -70,5 +170,146 @@ ruleTester.run('require-mut-var (TypeScript Variables)', rule, {
         },
       ],
     },
+    {
+      code: `
+        function updateUser(user: Mut<{name: string}>) {
+          user.name = 'Updated';
+        }
+        
+        const state = { user: { name: 'John' } };
+        updateUser(state.user!);
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Argument 'state.user' is passed to function 'updateUser' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming 'state' to 'mutState'.",
+        },
+      ],
+    },
+    // ❌ Mut<T> bindings don't mark other bindings with the same name
+    {
+      code: `
+        function complete(items: Mut<{ done: boolean }[]>) {
+          items.length = 0;
+        }
+
+        function first() {
+          const items: Mut<{ done: boolean }[]> = [];
+          complete(items);
+        }
+
+        function second() {
+          const items = [{ done: false }];
+          complete(items);
+        }
+
+        class TodoList {
+          items: { done: boolean }[] = [];
+
+          finish() {
+            complete(this.items);
+          }
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Argument 'items' is passed to function 'complete' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutItems'.",
+          line: 13,
+        },
+        {
+          message: "Argument 'this.items' is passed to function 'complete' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming 'items' to 'mutItems'.",
+          line: 20,
+        },
+      ],
+    },
+    // ❌ Signatures declared without a body
+    {
+      code: `
+        declare function sortInPlace(list: Mut<number[]>): void;
+
+        function format(value: string): string;
+        function format(value: string, mutLog: Mut<string[]>): string;
+        function format(value: string, log?: string[]): string {
+          return value;
+        }
+
+        const numbers = [3, 1, 2];
+        sortInPlace(numbers);
+        const log: string[] = [];
+        format('a', log);
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Argument 'numbers' is passed to function 'sortInPlace' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutNumbers'.",
+          line: 11,
+        },
+        {
+          message: "Argument 'log' is passed to function 'format' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutLog'.",
+          line: 13,
+        },
+      ],
+    },
+    {
+      code: `
+        interface Entity { id: string }
+        interface Repository {
+          save(entity: Mut<Entity>): void;
+          find(id: string): Entity;
+        }
+        type Reducer = (acc: Mut<Entity>, next: Entity) => void;
+
+        function run(repo: Repository, reduce: Reducer, onEntity: (entity: Mut<Entity>) => void) {
+          const entity = repo.find('1');
+          repo.save(entity);
+          const acc = { id: '' };
+          reduce(acc, entity);
+          const other = { id: '2' };
+          onEntity(other);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Argument 'entity' is passed to function 'save' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutEntity'.",
+          line: 11,
+        },
+        {
+          message: "Argument 'acc' is passed to function 'reduce' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutAcc'.",
+          line: 13,
+        },
+        {
+          message: "Argument 'other' is passed to function 'onEntity' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutOther'.",
+          line: 15,
+        },
+      ],
+    },
+    {
+      code: `
+        abstract class Store<T> {
+          abstract add(items: Mut<T[]>, item: T): void;
+          onChange!: (items: Mut<T[]>) => void;
+        }
+
+        function refresh(store: Store<string>) {
+          const items: string[] = [];
+          store.add(items, 'a');
+          const changed: string[] = [];
+          store.onChange(changed);
+        }
+      `,
+      filename: 'test.ts',
+      errors: [
+        {
+          message: "Argument 'items' is passed to function 'add' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutItems'.",
+          line: 9,
+        },
+        {
+          message: "Argument 'changed' is passed to function 'onChange' which mutates this parameter. Consider using 'Mut<T>' type annotation or renaming to 'mutChanged'.",
+          line: 11,
+        },
+      ],
+    },
   ],
 });
@@ -1,7 +1,12 @@
-const { RuleTester } = require('eslint');
+const { Linter, RuleTester } = require('eslint');
 const createMutRule = require('../../rules/require-mut');
 const rule = createMutRule('var');
 
+// Private class members need ecmaVersion 2022, which ESLint 7 can't parse
+const supportsPrivateMembers = new Linter()
+  .verify('class A { #a = 0; }', { parserOptions: { ecmaVersion: 2022 } })
+  .every(message => !message.fatal);
+
 const ruleTester = new RuleTester({
   parserOptions: {
     ecmaVersion: 2020,
@@ -91,6 +96,275 @@ ruleTester.run('require-mut-var', rule, {
         }
       `,
       options: []
+    },
+    // ✅ Calls resolved to a different function with the same name
+    {
+      code: `
+        function update(mutUser) {
+          mutUser.status = 'active';
+        }
+        
+        function test(cache) {
+          const user = {};
+          cache.update(user);
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function save(mutRecord) {
+          mutRecord.saved = true;
+        }
+        
+        function test() {
+          function save(record) {
+            return JSON.stringify(record);
+          }
+          const record = {};
+          save(record);
+        }
+      `,
+      options: []
+    },
+    {
+      code: `
+        function markDone(mutTask) {
+          mutTask.done = true;
+        }
+        
+        let handle = markDone;
+        handle = task => console.log(task);
+        
+        const task = {};
+        handle(task);
+      `,
+      options: []
+    },
+    // ✅ Receivers whose class isn't known are not matched against methods by name
+    {
+      code: `
+        class Counter {
+          toString() {
+            this.calls++;
+            return String(this.calls);
+          }
+          
+          get(key) {
+            if (!this.values) this.values = {};
+            return this.values[key];
+          }
+        }
+        
+        const value = load();
+        const maps = load();
+        value.toString();
+        maps.map(m => m.get('k'));
+      `,
+      options: []
+    },
+    // ✅ Methods with the same name on unrelated classes, or static and instance methods
+    {
+      code: `
+        class Merger {
+          merge(mutTarget, source) {
+            Object.assign(mutTarget, source);
+          }
+          
+          static reset(mutTarget) {
+            mutTarget.length = 0;
+          }
+          
+          reset(target) {
+            return target.length;
+          }
+        }
+        
+        class Reader {
+          merge(target, source) {
+            return { ...target, ...source };
+          }
+          
+          read(source) {
+            const target = {};
+            return this.merge(target, source);
+          }
+        }
+        
+        const merger = new Merger();
+        const list = [];
+        merger.reset(list);
+      `,
+      options: []
+    },
+    // ✅ Properties that may hold more than one function
+    {
+      code: `
+        const utils = {};
+        utils.fill = function (mutList, value) {
+          mutList.fill(value);
+        };
+        utils.fill = (list, value) => list.concat(value);
+        
+        function setup(handlers) {
+          handlers.save = function (mutDoc) {
+            mutDoc.saved = true;
+          };
+        }
+        
+        function main(handlers) {
+          const list = [];
+          const doc = {};
+          utils.fill(list, 0);
+          handlers.save(doc);
+        }
+      `,
+      options: []
+    },
+    // ✅ Member arguments marked on the root binding or on a property
+    {
+      code: `
+        function updateUser(mutUser) {
+          mutUser.active = true;
+        }
+        
+        function addToList(mutList, item) {
+          mutList.push(item);
+        }
+        
+        class Cart {
+          add(item) {
+            addToList(this.mutItems, item);
+          }
+        }
+        
+        function main(mutState, state) {
+          updateUser(mutState.user);
+          updateUser(state.mutUser);
+        }
+      `,
+      options: []
+    },
+    // ✅ Members of this and imported bindings when they are not checked
+    {
+      code: `
+        import { config } from './config';
+        const settings = require('./settings');
+        
+        function updateUser(mutUser) {
+          mutUser.active = true;
+        }
+        
+        class Session {
+          refresh() {
+            updateUser(this.user);
+          }
+        }
+        
+        updateUser(config.user);
+        updateUser(settings);
+      `,
+      options: [{ checkThisMembers: false, checkImports: false }]
+    },
+    // ✅ Arguments that don't reach a mutating parameter
+    {
+      code: `
+        function update(mutUser) {
+          mutUser.updated = true;
+        }
+        
+        function main(rest) {
+          const user = {};
+          const owner = {};
+          const other = {};
+          update.call(user, {});
+          update(...rest, owner);
+          const bound = update.bind(null, {});
+          bound(other);
+        }
+      `,
+      options: []
+    },
+    // ✅ Literal arguments whose mutated properties hold marked or fresh values
+    {
+      code: `
+        function save({ doc, index: mutIndex }) {
+          mutIndex.set(doc.id, doc);
+        }
+        
+        function main(mutCache) {
+          const doc = {};
+          save({ doc, index: mutCache });
+          save({ doc, index: new Map() });
+          save({ index: mutCache, doc });
+        }
+      `,
+      options: []
+    },
+    // ✅ Shallow copies passed to functions that only mutate the copy itself
+    {
+      code: `
+        function append(mutItems) {
+          mutItems.push({ done: false });
+        }
+        
+        function main(mutTasks) {
+          const items = [];
+          append([...items]);
+          append(items.slice());
+          append([...mutTasks]);
+        }
+      `,
+      options: []
+    },
+    // ✅ Callbacks that don't mutate the elements they receive
+    {
+      code: `
+        function markDone(mutTask) {
+          mutTask.done = true;
+        }
+        
+        function tag(mutItem, label) {
+          mutItem.label = label;
+        }
+        
+        function logTask(task) {
+          console.log(task.title);
+        }
+        
+        function main(mutTasks, labels) {
+          const tasks = [];
+          mutTasks.forEach(markDone);
+          tasks.forEach(logTask);
+          tasks.forEach(task => { task.seen = true; });
+          labels.forEach(tag.bind(null, {}));
+        }
+      `,
+      options: []
+    },
+    // ✅ Receivers of mutating methods with the 'mut' prefix, and 'this'
+    {
+      code: `
+        class Cart {
+          addItem(item) {
+            this.items.push(item);
+          }
+          
+          refill(item) {
+            this.addItem(item);
+          }
+          
+          total() {
+            return this.items.length;
+          }
+        }
+        
+        const mutCart = new Cart();
+        const cart = new Cart();
+        mutCart.addItem({});
+        cart.total();
+      `,
+      options: []
     }
   ],
 
@@ -204,6 +478,559 @@ ruleTester.run('require-mut-var', rule, {
           type: 'Identifier'
         }
       ]
+    },
+    // ❌ Function mutating a destructured parameter
+    {
+      code: `
+        function addItem({ items: mutItems }, item) {
+          mutItems.push(item);
+        }
+        
+        function main() {
+          const cart = { items: [] };
+          addItem(cart, 'new item');
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'cart' is passed to function 'addItem' which mutates this parameter. Consider renaming to 'mutCart'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Function mutating a nested member of its parameter
+    {
+      code: `
+        function register(mutConfig, plugin) {
+          mutConfig.plugins.push(plugin);
+        }
+        
+        function main() {
+          const config = { plugins: [] };
+          register(config, 'logger');
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'config' is passed to function 'register' which mutates this parameter. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Function mutating the elements of its parameter
+    {
+      code: `
+        function activate(mutUsers) {
+          mutUsers.forEach(u => { u.active = true; });
+        }
+        
+        function main() {
+          const users = [{ active: false }];
+          activate(users);
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'users' is passed to function 'activate' which mutates this parameter. Consider renaming to 'mutUsers'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Function mutating its parameter through Object.assign
+    {
+      code: `
+        function applyDefaults(mutOpts, defaults) {
+          Object.assign(mutOpts, defaults);
+        }
+        
+        function main() {
+          const opts = {};
+          applyDefaults(opts, { debug: false });
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'opts' is passed to function 'applyDefaults' which mutates this parameter. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Argument passed to a function that forwards it to a mutating function
+    {
+      code: `
+        function addDefaults(mutOpts) {
+          mutOpts.debug = false;
+        }
+        
+        function build(mutOpts) {
+          addDefaults(mutOpts);
+        }
+        
+        function main() {
+          const opts = {};
+          build(opts);
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'opts' is passed to function 'build' which mutates this parameter. Consider renaming to 'mutOpts'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Calls resolved through const bindings and object literal properties
+    {
+      code: `
+        function markDone(mutTask) {
+          mutTask.done = true;
+        }
+        
+        const complete = markDone;
+        const handlers = {
+          markDone,
+          reset(mutTask) {
+            mutTask.done = false;
+          }
+        };
+        
+        function main() {
+          const first = {};
+          const second = {};
+          const third = {};
+          complete(first);
+          handlers.markDone(second);
+          handlers['reset'](third);
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'first' is passed to function 'complete' which mutates this parameter. Consider renaming to 'mutFirst'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'second' is passed to function 'markDone' which mutates this parameter. Consider renaming to 'mutSecond'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'third' is passed to function 'reset' which mutates this parameter. Consider renaming to 'mutThird'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Constructors, including inherited ones
+    {
+      code: `
+        class Store {
+          constructor(mutConfig) {
+            mutConfig.ready = true;
+          }
+        }
+        
+        class CachedStore extends Store {}
+        
+        const config = {};
+        const cachedConfig = {};
+        new Store(config);
+        new CachedStore(cachedConfig);
+      `,
+      errors: [
+        {
+          message: "Argument 'config' is passed to function 'Store' which mutates this parameter. Consider renaming to 'mutConfig'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'cachedConfig' is passed to function 'CachedStore' which mutates this parameter. Consider renaming to 'mutCachedConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Class methods called on this, super, the class or a known instance
+    ...(supportsPrivateMembers ? [
+      {
+        code: `
+          class Merger {
+            merge(mutTarget, source) {
+              Object.assign(mutTarget, source);
+            }
+            
+            #clear(mutList) {
+              mutList.length = 0;
+            }
+            
+            static create(mutOptions) {
+              mutOptions.created = true;
+              return new Merger();
+            }
+            
+            run(source) {
+              const target = {};
+              const buffer = [];
+              this.merge(target, source);
+              this.#clear(buffer);
+            }
+          }
+          
+          class DeepMerger extends Merger {
+            run(source) {
+              const state = {};
+              super.merge(state, source);
+            }
+          }
+          
+          const options = {};
+          const merger = Merger.create(options);
+          const instance = new DeepMerger();
+          const result = {};
+          instance.merge(result, {});
+        `,
+        parserOptions: { ecmaVersion: 2022 },
+        errors: [
+          {
+            message: "Argument 'target' is passed to function 'merge' which mutates this parameter. Consider renaming to 'mutTarget'.",
+            line: 19
+          },
+          {
+            message: "Argument 'buffer' is passed to function '#clear' which mutates this parameter. Consider renaming to 'mutBuffer'.",
+            line: 20
+          },
+          {
+            message: "Argument 'state' is passed to function 'merge' which mutates this parameter. Consider renaming to 'mutState'.",
+            line: 27
+          },
+          {
+            message: "Argument 'options' is passed to function 'create' which mutates this parameter. Consider renaming to 'mutOptions'.",
+            line: 32
+          },
+          {
+            message: "Argument 'result' is passed to function 'merge' which mutates this parameter. Consider renaming to 'mutResult'.",
+            line: 35
+          }
+        ]
+      }
+    ] : []),
+    // ❌ Object literal methods called on this
+    {
+      code: `
+        const service = {
+          apply(mutState) {
+            mutState.applied = true;
+          },
+          run() {
+            const state = {};
+            this.apply(state);
+          }
+        };
+      `,
+      errors: [
+        {
+          message: "Argument 'state' is passed to function 'apply' which mutates this parameter. Consider renaming to 'mutState'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Functions assigned to properties and CommonJS exports
+    {
+      code: `
+        const utils = {};
+        utils.fill = function (mutList, value) {
+          mutList.fill(value);
+        };
+        exports.update = (mutUser) => {
+          mutUser.updated = true;
+        };
+        module.exports.merge = function (mutTarget, source) {
+          Object.assign(mutTarget, source);
+        };
+        
+        function main() {
+          const list = [];
+          const user = {};
+          const target = {};
+          utils.fill(list, 0);
+          module.exports.update(user);
+          exports.merge(target, {});
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'list' is passed to function 'fill' which mutates this parameter. Consider renaming to 'mutList'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'user' is passed to function 'update' which mutates this parameter. Consider renaming to 'mutUser'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'target' is passed to function 'merge' which mutates this parameter. Consider renaming to 'mutTarget'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    {
+      code: `
+        module.exports = {
+          save(mutDoc) {
+            mutDoc.saved = true;
+          }
+        };
+        
+        const doc = {};
+        module.exports.save(doc);
+      `,
+      errors: [
+        {
+          message: "Argument 'doc' is passed to function 'save' which mutates this parameter. Consider renaming to 'mutDoc'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ Member arguments are reported on the binding they belong to
+    {
+      code: `
+        import { config } from './config';
+        
+        function updateUser(mutUser) {
+          mutUser.active = true;
+        }
+        
+        function sortInPlace(mutRows) {
+          mutRows.sort();
+        }
+        
+        class Cart {
+          sort() {
+            sortInPlace(this.items);
+          }
+        }
+        
+        function main(state, props, tables) {
+          updateUser(state.user);
+          sortInPlace(props.rows);
+          sortInPlace(tables[0]);
+          updateUser(config.admin);
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'this.items' is passed to function 'sortInPlace' which mutates this parameter. Consider renaming 'items' to 'mutItems'.",
+          type: 'MemberExpression'
+        },
+        {
+          message: "Argument 'state.user' is passed to function 'updateUser' which mutates this parameter. Consider renaming 'state' to 'mutState'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'props.rows' is passed to function 'sortInPlace' which mutates this parameter. Consider renaming 'props' to 'mutProps'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'tables[0]' is passed to function 'sortInPlace' which mutates this parameter. Consider renaming 'tables' to 'mutTables'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Argument 'config.admin' is passed to function 'updateUser' which mutates this parameter. Consider renaming 'config' to 'mutConfig'.",
+          type: 'Identifier'
+        }
+      ]
+    },
+    // ❌ call, apply, bind, Reflect.apply, spread arguments and rest parameters
+    {
+      code: `
+        function update(mutUser) {
+          mutUser.updated = true;
+        }
+        
+        function append(label, ...mutLists) {
+          mutLists.forEach(list => list.push(label));
+        }
+        
+        function main(ctx) {
+          const first = {};
+          const second = {};
+          const third = {};
+          const fourth = {};
+          const fifth = {};
+          const sixth = {};
+          const todo = [];
+          const done = [];
+          update.call(ctx, first);
+          update.apply(null, [second]);
+          const bound = update.bind(null, third);
+          Reflect.apply(update, null, [fourth]);
+          update(...[fifth]);
+          const later = update.bind(ctx);
+          later(sixth);
+          append('archived', todo, done);
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'first' is passed to function 'update' which mutates this parameter. Consider renaming to 'mutFirst'.",
+          line: 19
+        },
+        {
+          message: "Argument 'second' is passed to function 'update' which mutates this parameter. Consider renaming to 'mutSecond'.",
+          line: 20
+        },
+        {
+          message: "Argument 'third' is passed to function 'update' which mutates this parameter. Consider renaming to 'mutThird'.",
+          line: 21
+        },
+        {
+          message: "Argument 'fourth' is passed to function 'update' which mutates this parameter. Consider renaming to 'mutFourth'.",
+          line: 22
+        },
+        {
+          message: "Argument 'fifth' is passed to function 'update' which mutates this parameter. Consider renaming to 'mutFifth'.",
+          line: 23
+        },
+        {
+          message: "Argument 'sixth' is passed to function 'later' which mutates this parameter. Consider renaming to 'mutSixth'.",
+          line: 25
+        },
+        {
+          message: "Argument 'todo' is passed to function 'append' which mutates this parameter. Consider renaming to 'mutTodo'.",
+          line: 26
+        },
+        {
+          message: "Argument 'done' is passed to function 'append' which mutates this parameter. Consider renaming to 'mutDone'.",
+          line: 26
+        }
+      ]
+    },
+    // ❌ Object and array literal arguments mapped onto destructured parameters
+    {
+      code: `
+        function save({ doc, index: mutIndex }) {
+          mutIndex.set(doc.id, doc);
+        }
+        
+        function swap([mutFirst, second]) {
+          mutFirst.value = second.value;
+        }
+        
+        function main() {
+          const doc = {};
+          const index = new Map();
+          const cache = new Map();
+          const first = {};
+          const second = {};
+          save({ doc, index });
+          save({ doc: first, index: cache });
+          swap([first, second]);
+        }
+      `,
+      errors: [
+        {
+          message: "Argument 'index' is passed to function 'save' which mutates this parameter. Consider renaming to 'mutIndex'.",
+          line: 16
+        },
+        {
+          message: "Argument 'cache' is passed to function 'save' which mutates this parameter. Consider renaming to 'mutCache'.",
+          line: 17
+        },
+        {
+          message: "Argument 'first' is passed to function 'swap' which mutates this parameter. Consider renaming to 'mutFirst'.",
+          line: 18
+        }
+      ]
+    },
+    // ❌ Mutating functions passed as callbacks
+    {
+      code: `
+        function markDone(mutTask) {
+          mutTask.done = true;
+        }
+        
+        function normalizeInPlace(mutRow) {
+          mutRow.name = mutRow.name.trim();
+        }
+        
+        function tag(label, mutItem) {
+          mutItem.label = label;
+        }
+        
+        function main(state, each) {
+          const tasks = [];
+          const items = [];
+          const queue = [];
+          tasks.forEach(markDone);
+          state.rows.map(normalizeInPlace);
+          items.forEach(tag.bind(null, 'new'));
+          each(queue, markDone);
+        }
+      `,
+      options: [{ elementCallbacks: [{ name: 'each', argument: 1, source: 0 }] }],
+      errors: [
+        {
+          message: "Elements of 'tasks' are passed to function 'markDone' which mutates this parameter. Consider renaming to 'mutTasks'.",
+          line: 18
+        },
+        {
+          message: "Elements of 'state.rows' are passed to function 'normalizeInPlace' which mutates this parameter. Consider renaming 'state' to 'mutState'.",
+          line: 19
+        },
+        {
+          message: "Elements of 'items' are passed to function 'tag' which mutates this parameter. Consider renaming to 'mutItems'.",
+          line: 20
+        },
+        {
+          message: "Elements of 'queue' are passed to function 'markDone' which mutates this parameter. Consider renaming to 'mutQueue'.",
+          line: 21
+        }
+      ]
+    },
+    // ❌ Shallow copies passed to functions that mutate their elements
+    {
+      code: `
+        function markFirst(mutItems) {
+          mutItems[0].done = true;
+        }
+        
+        const tasks = [{ done: false }];
+        const rows = [{ done: false }];
+        markFirst([...tasks]);
+        markFirst(Array.from(rows));
+      `,
+      errors: [
+        {
+          message: "Elements of 'tasks' are passed to function 'markFirst' which mutates this parameter. Consider renaming to 'mutTasks'.",
+          line: 8
+        },
+        {
+          message: "Elements of 'rows' are passed to function 'markFirst' which mutates this parameter. Consider renaming to 'mutRows'.",
+          line: 9
+        }
+      ]
+    },
+    // ❌ Receivers of methods that mutate 'this'
+    {
+      code: `
+        class Cart {
+          addItem(item) {
+            this.items.push(item);
+          }
+          
+          refill(item) {
+            this.addItem(item);
+          }
+        }
+        
+        const cart = new Cart();
+        const backup = new Cart();
+        cart.addItem({});
+        backup.refill({});
+      `,
+      errors: [
+        {
+          message: "Method 'addItem' mutates its receiver 'cart'. Consider renaming to 'mutCart'.",
+          type: 'Identifier'
+        },
+        {
+          message: "Method 'refill' mutates its receiver 'backup'. Consider renaming to 'mutBackup'.",
+          type: 'Identifier'
+        }
+      ]
     }
   ]
 });